@@ -18,6 +18,7 @@ const userRouter = require('./routes/userRoutes');
 const reviewRouter = require('./routes/reviewRoutes');
 const viewRouter = require('./routes/viewRoutes');
 const bookingRouter = require('./routes/bookingRoutes');
+const couponRouter = require('./routes/couponRoutes');
 const { webhookCheckout } = require('./controllers/bookingController');
 
 const app = express();
@@ -43,6 +44,15 @@ const limiter = rateLimit({
   message: 'Request limit reached from this IP, please try again in an hour.',
 });
 
+// Failed logins from the same IP, whatever account they target (successful logins are not counted)
+const loginLimiter = rateLimit({
+  max: process.env.LOGIN_MAX_ATTEMPTS_PER_IP * 1 || 20,
+  windowMs: 15 * 60 * 1000,
+  skipSuccessfulRequests: true,
+  message:
+    'Too many failed login attempts from this IP, please try again in 15 minutes.',
+});
+
 /* GLOBAL MIDDLEWARES */
 app.use(cors()); // Just allows CORS for 'Simple' request
 app.options('*', cors()); // To allow CORS of PUT, PATCH, DELETE
@@ -137,6 +147,7 @@ app.use(
       'maxGroupSize',
       'difficulty',
       'price',
+      'effectivePrice',
     ],
   })
 );
@@ -148,6 +159,9 @@ if (process.env.NODE_ENV === 'development') {
 
 /* Limit Request from APIs */
 app.use('/api', limiter);
+app.use('/api/v1/users/login', loginLimiter);
+app.use('/api/v1/users/magic-link', loginLimiter);
+app.use('/api/v1/users/oidc', loginLimiter);
 
 app.use(compression());
 
@@ -156,6 +170,7 @@ app.use('/api/v1/tours', tourRouter);
 app.use('/api/v1/users', userRouter);
 app.use('/api/v1/reviews', reviewRouter);
 app.use('/api/v1/bookings', bookingRouter);
+app.use('/api/v1/coupons', couponRouter);
 
 // Handle unknown routes, '*' means all routes
 app.all('*', (req, res, next) => {
@@ -2,38 +2,278 @@ const crypto = require('crypto');
 const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const Email = require('../utils/email');
+const oidc = require('../utils/oidc');
+const { getPermission } = require('../utils/permissions');
 
-const signToken = (id) =>
-  jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+// Access tokens are short lived, the refresh token is used to get a new one
+const signToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, sid: sessionId, ver: user.tokenVersion },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+    }
+  );
+
+// Proves the password was correct while the two-factor code is asked, only valid for a few minutes
+const signTwoFactorToken = (id) =>
+  jwt.sign({ id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
   });
 
-const createSendToken = (user, statusCode, req, res) => {
-  const token = signToken(user._id);
-  const cookieOptions = {
-    expires: new Date(
+const getCookieOptions = (req, expires) => ({
+  expires,
+  httpOnly: true,
+  secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+});
+
+/**
+ * Sets the access and refresh token cookies for a session
+ * @param {String} token - Access token
+ * @param {String} refreshToken
+ * @param {*} session
+ */
+const setTokenCookies = (token, refreshToken, session, req, res) => {
+  res.cookie('jwt', token, getCookieOptions(req, session.expiresAt));
+  res.cookie(
+    'refreshToken',
+    refreshToken,
+    getCookieOptions(req, session.expiresAt)
+  );
+};
+
+const createSendToken = async (user, statusCode, req, res) => {
+  // Every login starts a new server side session, which can be revoked
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(
       Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
     ),
-    httpOnly: true,
-    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
-  };
+  });
+  const refreshToken = session.createRefreshToken();
+  await session.save();
 
-  res.cookie('jwt', token, cookieOptions);
+  const token = signToken(user, session._id);
+
+  setTokenCookies(token, refreshToken, session, req, res);
 
   user.password = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
 
   res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken,
     data: {
       user,
     },
   });
 };
 
+/**
+ * Revokes a session whose refresh token was used again after its rotation, it was probably stolen
+ * @param {*} session
+ */
+const revokeReusedSession = async (session) => {
+  await Session.updateOne({ _id: session._id }, { revokedAt: Date.now() });
+
+  throw new AppError(
+    'This refresh token was already used. Your session has been revoked, please log in again.',
+    401
+  );
+};
+
+/**
+ * Rotates a refresh token, returning a new access and refresh token for its session
+ * Using a refresh token that was already rotated means it was stolen, so the whole session is revoked
+ * @param {String} refreshToken
+ * @returns
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const sessionId = Session.getIdFromRefreshToken(refreshToken);
+  const session =
+    sessionId &&
+    (await Session.findById(sessionId).select(
+      '+refreshToken +previousRefreshToken'
+    ));
+
+  if (!session || !session.isActive()) {
+    throw new AppError(
+      'Your session has expired or was revoked. Please log in again.',
+      401
+    );
+  }
+
+  const justRotatedError = new AppError(
+    'This refresh token was just rotated. Please use the new one.',
+    401
+  );
+
+  if (session.wasJustRotated(refreshToken)) throw justRotatedError;
+
+  if (!session.isCurrentRefreshToken(refreshToken)) {
+    await revokeReusedSession(session);
+  }
+
+  const user = await User.findById(session.user);
+
+  if (
+    !user ||
+    user.hasPasswordChangedAfter(parseInt(session.createdAt / 1000, 10))
+  ) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: Date.now() });
+
+    throw new AppError(
+      'Your session has expired or was revoked. Please log in again.',
+      401
+    );
+  }
+
+  const newRefreshToken = await session.rotateRefreshToken(refreshToken);
+
+  // Another request rotated the same token in the meantime, just now (same browser) or not (reuse)
+  if (!newRefreshToken) {
+    const current = await Session.findById(session._id).select(
+      '+previousRefreshToken'
+    );
+
+    if (current && current.isActive() && current.wasJustRotated(refreshToken)) {
+      throw justRotatedError;
+    }
+    await revokeReusedSession(session);
+  }
+
+  return {
+    user,
+    session,
+    token: signToken(user, session._id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+/**
+ * Verifies an access token, checking its user and session are still valid
+ * @param {String} token
+ * @param {*} req
+ * @returns the user and its session, or throws an AppError
+ */
+const getUserFromToken = async (token, req) => {
+  // 1. Verify token
+  const payloadDecoded = await promisify(jwt.verify)(
+    token,
+    process.env.JWT_SECRET
+  );
+
+  // 2. Check the session was not revoked
+  const session =
+    payloadDecoded.sid && (await Session.findById(payloadDecoded.sid));
+
+  if (!session || !session.isActive()) {
+    throw new AppError(
+      'Your session has expired or was revoked. Please log in again.',
+      401
+    );
+  }
+
+  // 3. Check if user still exists
+  const user = await User.findById(payloadDecoded.id);
+
+  if (!user) {
+    throw new AppError(
+      'The user belonging to this token does not longer exist',
+      401
+    );
+  }
+
+  // 4. Check if user changed passwords after the token was issued
+  if (user.hasPasswordChangedAfter(payloadDecoded.iat)) {
+    throw new AppError(
+      'User recenlty changed password. Please log in again.',
+      401
+    );
+  }
+
+  // 5. Check if user logged out everywhere after the token was issued
+  if (user.hasTokenVersionChanged(payloadDecoded.ver)) {
+    throw new AppError(
+      'User logged out of all devices. Please log in again.',
+      401
+    );
+  }
+
+  await session.markSeen(req.ip);
+
+  return { user, session };
+};
+
+/**
+ * Returns the error to respond with while the user is locked out or has to wait before trying again
+ * @param {*} user
+ * @returns AppError, or undefined if the user can try to log in
+ */
+const getLoginLockedError = (user) => {
+  if (user.isLocked()) {
+    const minutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+    return new AppError(
+      `Your account is locked after too many failed login attempts. Please try again in ${minutes} minute(s) or reset your password.`,
+      429
+    );
+  }
+
+  const delay = user.getLoginDelay();
+  if (delay > 0) {
+    return new AppError(
+      `Too many failed login attempts. Please wait ${Math.ceil(
+        delay / 1000
+      )} second(s) before trying again.`,
+      429
+    );
+  }
+};
+
+/**
+ * Counts a failed login of the user, emailing them if their account gets locked
+ * @param {*} user
+ * @param {*} req
+ */
+const registerFailedLogin = async (user, req) => {
+  const locked = await user.registerFailedLogin();
+  if (!locked) return;
+
+  const resetURL = `${req.protocol}://${req.get('host')}/login`;
+
+  try {
+    await new Email(user, resetURL).sendAccountLocked(user.lockUntil, req.ip);
+  } catch (err) {
+    // The lock stays in place even if the user can't be told about it
+  }
+};
+
+/**
+ * Marks the user's email address as unverified and emails them the link to verify it
+ * Used on signup and whenever the email address changes
+ * @param {*} user
+ * @param {*} req
+ */
+exports.sendEmailVerification = async (user, req) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verificationURL = `${req.protocol}://${req.get(
+    'host'
+  )}/verify-email/${verificationToken}`;
+  await new Email(user, verificationURL).sendEmailVerification();
+};
+
 /**
  * Route hanlder that sign up a new user into the DB.
  * Returns new JWT token
@@ -49,10 +289,72 @@ exports.signup = catchAsync(async (req, res, next) => {
   const url = `${req.protocol}://${req.get('host')}/me`;
 
   await new Email(newUser, url).sendWelcome();
+  await exports.sendEmailVerification(newUser, req);
 
-  createSendToken(newUser, 201, req, res);
+  await createSendToken(newUser, 201, req, res);
+});
+
+/**
+ * Route handler to verify the email address with the token emailed to the user
+ */
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const user = await User.verifyEmail(req.params.token);
+
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired.', 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email address verified.',
+  });
 });
 
+/**
+ * Route handler to email a new verification link to the logged in user
+ */
+exports.resendEmailVerification = catchAsync(async (req, res, next) => {
+  if (req.user.emailVerified !== false) {
+    return next(new AppError('Your email address is already verified.', 400));
+  }
+
+  try {
+    await exports.sendEmailVerification(req.user, req);
+  } catch (err) {
+    return next(
+      new AppError(
+        'There was an error sending the email. Try again later.',
+        500
+      )
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification link sent to user email.',
+  });
+});
+
+/**
+ * Last step of every login, once the user proved who they are
+ * If two-factor authentication is enabled, asks for the code instead of logging in
+ * @param {*} user
+ * @param {*} req
+ * @param {*} res
+ */
+const sendLoginResponse = async (user, req, res) => {
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      twoFactorToken: signTwoFactorToken(user._id),
+    });
+  }
+
+  await user.resetFailedLogins();
+  await createSendToken(user, 200, req, res);
+};
+
 /**
  * Route handler to login user
  * Creates new JWT
@@ -65,95 +367,308 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide an email and password'));
   }
 
-  //2. Check if user exists and password is correct
+  //2. Check if user exists, isn't locked out and password is correct
   const user = await User.findOne({ email }).select('+password');
 
+  const lockedError = user && getLoginLockedError(user);
+  if (lockedError) return next(lockedError);
+
   if (!user || !(await user.isCorrectPassword(password, user.password))) {
+    if (user) await registerFailedLogin(user, req);
     return next(new AppError('Incorrect email or password.', 401));
   }
+
   //3. If everything okay, send token to client
-  createSendToken(user, 200, req, res);
+  await sendLoginResponse(user, req, res);
 });
 
 /**
- * Auth Middleware that validates if user is correctly authenticated by validating JWT
+ * Route handler to email a passwordless login link
  */
-exports.protect = catchAsync(async (req, res, next) => {
-  // 1. Getting token and check if exists
-  let token;
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.jwt) {
-    token = req.cookies.jwt;
-  }
+exports.sendMagicLink = catchAsync(async (req, res, next) => {
+  // 1. Get user based on POST email
+  const user = await User.findOne({ email: req.body.email });
 
-  if (!token) {
+  if (!user) {
     return next(
-      new AppError('User not logged in! Please log in to get access.', 401)
+      new AppError('There is no user with the provided email address.', 404)
     );
   }
 
-  // 2. Verify token
-  const payloadDecoded = await promisify(jwt.verify)(
-    token,
-    process.env.JWT_SECRET
-  );
+  // 2. Generate random login token
+  const magicLinkToken = user.createMagicLinkToken();
+  await user.save({ validateBeforeSave: false });
 
-  // 3. Check if user still exists
-  const user = await User.findById(payloadDecoded.id);
+  // 3. Send it to user's email
+  try {
+    const magicLinkURL = `${req.protocol}://${req.get(
+      'host'
+    )}/login/${magicLinkToken}`;
+    await new Email(user, magicLinkURL).sendMagicLink();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Login link sent to user email.',
+    });
+  } catch (err) {
+    user.magicLinkToken = undefined;
+    user.magicLinkExpires = undefined;
+    await user.save({ validateBeforeSave: false });
 
-  if (!user) {
     return next(
       new AppError(
-        'The user belonging to this token does not longer exist',
-        401
+        'There was an error sending the email. Try again later.',
+        500
       )
     );
   }
+});
 
-  // 4. Check if user changed passwords after the token was issued
-  if (user.hasPasswordChangedAfter(payloadDecoded.iat)) {
+/**
+ * Route handler to log in with the token of a passwordless login link
+ * A POST, so email clients prefetching the link can't use it up
+ */
+exports.loginMagicLink = catchAsync(async (req, res, next) => {
+  const user = await User.useMagicLinkToken(req.params.token);
+
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired.', 400));
+  }
+
+  const lockedError = getLoginLockedError(user);
+  if (lockedError) return next(lockedError);
+
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * Route handler starting the login with the external OpenID Connect provider
+ * The values to check on the callback are kept in a short-lived signed cookie
+ */
+exports.oidcLogin = catchAsync(async (req, res, next) => {
+  const {
+    url,
+    state,
+    nonce,
+    codeVerifier,
+  } = await oidc.createAuthorizationRequest();
+
+  const oidcToken = jwt.sign(
+    { state, nonce, codeVerifier },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+  res.cookie(
+    'oidc',
+    oidcToken,
+    getCookieOptions(req, new Date(Date.now() + 10 * 60 * 1000))
+  );
+
+  res.redirect(url);
+});
+
+/**
+ * Route handler finishing the login with the external OpenID Connect provider
+ * Receives the code and state the provider redirected back with, links or creates the account and logs it in
+ */
+exports.oidcCallback = catchAsync(async (req, res, next) => {
+  const { code, state } = req.body;
+
+  //1. Check the callback belongs to the login started in this browser
+  if (!code || !state || !req.cookies.oidc) {
+    return next(new AppError('Login with the external provider failed.', 400));
+  }
+
+  const request = await promisify(jwt.verify)(
+    req.cookies.oidc,
+    process.env.JWT_SECRET
+  );
+  res.cookie('oidc', '', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+
+  if (request.state !== state) {
+    return next(new AppError('Login with the external provider failed.', 400));
+  }
+
+  //2. Get the user's identity from the provider, and the matching user
+  const claims = await oidc.getClaims(code, request);
+  const { user, created } = await User.findOrCreateFromOidc(
+    process.env.OIDC_ISSUER,
+    claims
+  );
+
+  // A failed email shouldn't make the user log in again, the account exists already
+  if (created) {
+    try {
+      const url = `${req.protocol}://${req.get('host')}/me`;
+      await new Email(user, url).sendWelcome();
+      if (user.emailVerified === false) {
+        await exports.sendEmailVerification(user, req);
+      }
+    } catch (err) {
+      // The user can ask for a new verification link from their account
+    }
+  }
+
+  const lockedError = getLoginLockedError(user);
+  if (lockedError) return next(lockedError);
+
+  //3. If everything okay, send token to client
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * Route handler for the second login step, when two-factor authentication is enabled
+ * Accepts a code from the authenticator app or one of the recovery codes
+ */
+exports.loginTwoFactor = catchAsync(async (req, res, next) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  //1. Check the first step (password or login link) was completed
+  if (!twoFactorToken || (!code && !recoveryCode)) {
     return next(
-      new AppError('User recenlty changed password. Please log in again.', 401)
+      new AppError('Please provide your two-factor authentication code.', 400)
     );
   }
 
-  //Grant access to protected route
-  req.user = user;
-  res.locals.user = user;
-  next();
+  const payloadDecoded = await promisify(jwt.verify)(
+    twoFactorToken,
+    process.env.JWT_SECRET
+  );
+
+  if (payloadDecoded.purpose !== '2fa') {
+    return next(new AppError('Invalid token. Please log in again.', 401));
+  }
+
+  //2. Check the code
+  const user = await User.findById(payloadDecoded.id).select(
+    '+twoFactorSecret +twoFactorRecoveryCodes'
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    return next(new AppError('Invalid token. Please log in again.', 401));
+  }
+
+  // Codes are short, so failed attempts count towards the lockout as well
+  const lockedError = getLoginLockedError(user);
+  if (lockedError) return next(lockedError);
+
+  if (recoveryCode) {
+    if (!user.useRecoveryCode(recoveryCode)) {
+      await registerFailedLogin(user, req);
+      return next(new AppError('Incorrect recovery code.', 401));
+    }
+    await user.save({ validateBeforeSave: false });
+  } else if (!user.isCorrectTwoFactorCode(code)) {
+    await registerFailedLogin(user, req);
+    return next(new AppError('Incorrect two-factor authentication code.', 401));
+  }
+
+  //3. If everything okay, send token to client
+  await user.resetFailedLogins();
+  await createSendToken(user, 200, req, res);
 });
 
 /**
- * Auth Middleware that validates if user is logged in
- * Only for rednered pages
+ * Gets the logged in user of a browser from its cookies
+ * If the access token has expired, a new one is issued from the refresh token cookie
+ * @returns the user and its session, or throws an AppError
  */
-exports.isLoggedIn = async (req, res, next) => {
-  // 1. Getting token and check if exists
-  if (req.cookies.jwt) {
-    try {
-      // 2. Verify token
-      const payloadDecoded = await promisify(jwt.verify)(
-        req.cookies.jwt,
-        process.env.JWT_SECRET
+const getUserFromCookies = async (req, res) => {
+  const { jwt: token, refreshToken } = req.cookies;
+
+  try {
+    if (token) return await getUserFromToken(token, req);
+  } catch (err) {
+    if (err.name !== 'TokenExpiredError' || !refreshToken) throw err;
+  }
+
+  if (!refreshToken) {
+    throw new AppError('User not logged in! Please log in to get access.', 401);
+  }
+
+  const refreshed = await rotateRefreshToken(refreshToken);
+  setTokenCookies(
+    refreshed.token,
+    refreshed.refreshToken,
+    refreshed.session,
+    req,
+    res
+  );
+
+  return refreshed;
+};
+
+/**
+ * Returns an auth middleware that validates if user is correctly authenticated by validating JWT
+ * @param {Boolean} enforceTwoFactorPolicy - Reject users whose role requires two-factor authentication but didn't enable it
+ * @returns
+ */
+const authenticate = (enforceTwoFactorPolicy) =>
+  catchAsync(async (req, res, next) => {
+    // 1. Getting token and check if exists, then verify it with its session and user
+    let auth;
+    if (
+      req.headers.authorization &&
+      req.headers.authorization.startsWith('Bearer')
+    ) {
+      auth = await getUserFromToken(
+        req.headers.authorization.split(' ')[1],
+        req
+      );
+    } else if (req.cookies.jwt || req.cookies.refreshToken) {
+      auth = await getUserFromCookies(req, res);
+    } else {
+      return next(
+        new AppError('User not logged in! Please log in to get access.', 401)
       );
+    }
 
-      // 3. Check if user still exists
-      const user = await User.findById(payloadDecoded.id);
+    // 2. Check the two-factor authentication policy of the user's role
+    if (
+      enforceTwoFactorPolicy &&
+      auth.user.isTwoFactorRequired() &&
+      !auth.user.twoFactorEnabled
+    ) {
+      return next(
+        new AppError(
+          'Your role requires two-factor authentication. Please enable it first.',
+          403
+        )
+      );
+    }
 
-      if (!user) {
-        return next();
-      }
+    //Grant access to protected route
+    req.user = auth.user;
+    req.sessionId = auth.session.id;
+    res.locals.user = auth.user;
+    next();
+  });
 
-      // 4. Check if user changed passwords after the token was issued
-      if (user.hasPasswordChangedAfter(payloadDecoded.iat)) {
-        return next();
-      }
+/**
+ * Auth Middleware that validates if user is correctly authenticated by validating JWT
+ */
+exports.protect = authenticate(true);
+
+/**
+ * Same as protect, but lets in users who still have to enable two-factor authentication
+ * Only for the routes used to enable it
+ */
+exports.protectTwoFactorSetup = authenticate(false);
 
+/**
+ * Auth Middleware that validates if user is logged in
+ * Only for rednered pages
+ */
+exports.isLoggedIn = async (req, res, next) => {
+  // 1. Getting token and check if exists
+  if (req.cookies.jwt || req.cookies.refreshToken) {
+    try {
+      // 2. Verify token, its session and its user
       // There is a logged user
+      const { user } = await getUserFromCookies(req, res);
       res.locals.user = user;
       return next();
     } catch (err) {
@@ -164,36 +679,272 @@ exports.isLoggedIn = async (req, res, next) => {
   next();
 };
 
+/**
+ * Exchanges a refresh token (from the body or the cookie) for a new access and refresh token
+ */
+exports.refresh = catchAsync(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+
+  if (!refreshToken) {
+    return next(new AppError('Please provide a refresh token.', 400));
+  }
+
+  const refreshed = await rotateRefreshToken(refreshToken);
+
+  setTokenCookies(
+    refreshed.token,
+    refreshed.refreshToken,
+    refreshed.session,
+    req,
+    res
+  );
+
+  res.status(200).json({
+    status: 'success',
+    token: refreshed.token,
+    refreshToken: refreshed.refreshToken,
+  });
+});
+
 /**
  * Controller method to logout user
+ * Revokes the session of the refresh token (from the body or the cookie), so neither token can be used again
  * @param {*} req
  * @param {*} res
  */
-exports.logout = (req, res) => {
+exports.logout = catchAsync(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+  const sessionId = refreshToken && Session.getIdFromRefreshToken(refreshToken);
+
+  if (sessionId) {
+    const session = await Session.findById(sessionId).select('+refreshToken');
+
+    if (session && session.isCurrentRefreshToken(refreshToken)) {
+      session.revokedAt = Date.now();
+      await session.save();
+    }
+  }
+
   res.cookie('jwt', '', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true,
   });
+  res.cookie('refreshToken', '', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
 
   res.status(200).json({ status: 'success' });
-};
+});
 
 /**
- * Middleware that returns route hanlder to restrict access to resources to certain user's roles
- * @param  {...any} roles
- * @returns
+ * Lists the logged in user's active sessions, flagging the one making the request
  */
-exports.restrictTo = (...roles) => (req, res, next) => {
-  //Role is inside user object because it was defined before on the protect middleware.
-  if (!roles.includes(req.user.role)) {
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  }).sort('-lastSeenAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session.id === req.sessionId,
+      })),
+    },
+  });
+});
+
+/**
+ * Logs out one of the logged in user's sessions, e.g. on a lost device
+ */
+exports.deleteMySession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: { $exists: false },
+    },
+    { revokedAt: Date.now() }
+  );
+
+  if (!session) {
+    return next(
+      new AppError(`No session found with id: ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Logs the user out of every device by revoking all their sessions
+ * The token version is bumped too, so access tokens already issued stop working right away
+ */
+exports.logoutEverywhere = catchAsync(async (req, res, next) => {
+  await Session.updateMany(
+    { user: req.user.id, revokedAt: { $exists: false } },
+    { revokedAt: Date.now() }
+  );
+  await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+
+  res.cookie('jwt', '', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+  res.cookie('refreshToken', '', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Starts the two-factor authentication setup, creating a new secret for the logged in user
+ * Returns the otpauth URI to scan with an authenticator app
+ */
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new AppError('Two-factor authentication is already enabled.', 400)
+    );
+  }
+
+  const otpauthUrl = user.createTwoFactorSecret();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret: user.twoFactorSecret,
+      otpauthUrl,
+    },
+  });
+});
+
+/**
+ * Enables two-factor authentication once the user proves the authenticator app works
+ * Returns the recovery codes, they are only shown this once
+ */
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new AppError('Two-factor authentication is already enabled.', 400)
+    );
+  }
+
+  if (!user.isCorrectTwoFactorCode(req.body.code)) {
+    return next(new AppError('Incorrect two-factor authentication code.', 401));
+  }
+
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+/**
+ * Disables two-factor authentication, asking for the password and a current code
+ * Not allowed for roles that require it
+ */
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    '+password +twoFactorSecret'
+  );
+
+  if (user.isTwoFactorRequired()) {
+    return next(
+      new AppError('Your role requires two-factor authentication.', 403)
+    );
+  }
+
+  if (
+    !(await user.isCorrectPassword(req.body.passwordCurrent, user.password)) ||
+    !user.isCorrectTwoFactorCode(req.body.code)
+  ) {
+    return next(new AppError('Incorrect password or code.', 401));
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Middleware to block users who haven't verified their email address yet, e.g. from booking or reviewing
+ * Must be used after protect
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
     return next(
-      new AppError('User does not have permission to perform this action', 403)
+      new AppError(
+        'Please verify your email address first. Check your inbox for the verification link.',
+        403
+      )
     );
   }
 
   next();
 };
 
+/**
+ * Middleware that returns route handler to restrict access to the roles allowed to perform an action
+ * See utils/permissions.js for the actions of each role
+ * If the role only has the action on its own resources (`:own`), req.ownOnly is set for the handler to limit them
+ * and the optional isOwner function checks the requested resource right away
+ * @param {String} action - e.g. 'tour:update'
+ * @param {Function} isOwner - async (req) => Boolean
+ * @returns
+ */
+exports.can = (action, isOwner) =>
+  catchAsync(async (req, res, next) => {
+    //Role is inside user object because it was defined before on the protect middleware.
+    const permission = getPermission(req.user.role, action);
+
+    if (permission === 'own' && (!isOwner || (await isOwner(req)))) {
+      req.ownOnly = true;
+      return next();
+    }
+
+    if (permission !== 'all') {
+      return next(
+        new AppError(
+          'User does not have permission to perform this action',
+          403
+        )
+      );
+    }
+
+    next();
+  });
+
 /**
  * Forgot password function that creates a random tokena and sends it to the user's email.
  */
@@ -257,12 +1008,17 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   user.passwordConfirm = req.body.passwordConfirm;
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
+  // Proving access to the email address also lifts a lockout
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
 
   await user.save();
   // 3. Update changePasswordAt property for the user
 
   // 4. Log the user in, send JWT
-  createSendToken(user, 200, req, res);
+  // Access to the mailbox alone must not skip the two-factor step
+  await sendLoginResponse(user, req, res);
 });
 
 exports.updatePassword = catchAsync(async (req, res, next) => {
@@ -282,5 +1038,5 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   await user.save();
 
   // 4. Log user in, send JWT
-  createSendToken(user, 200, req, res);
+  await createSendToken(user, 200, req, res);
 });
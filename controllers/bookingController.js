@@ -2,16 +2,101 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 const Tour = require('../models/tourModel');
 const Booking = require('../models/bookingModel');
+const Coupon = require('../models/couponModel');
+const Waitlist = require('../models/waitlistModel');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const factory = require('./handlerFactory');
 const User = require('../models/userModel');
+const Email = require('../utils/email');
+const { calcRefund } = require('../utils/cancellationPolicy');
+
+// Smallest amount Stripe can charge in USD
+const STRIPE_MINIMUM_CHARGE = 0.5;
 
 exports.getCheckoutSession = catchAsync(async (req, res, next) => {
   // 1. Get the currently book tour
   const tour = await Tour.findById(req.params.tourId);
 
-  // 2. Create checkout session
+  if (!tour) {
+    return next(
+      new AppError(`No tour found with id: ${req.params.tourId}`, 404)
+    );
+  }
+
+  // 2. Check the chosen date is an upcoming departure with enough seats left
+  const { startDate } = req.query;
+  const participants =
+    req.query.participants === undefined ? 1 : req.query.participants * 1;
+
+  if (!startDate) {
+    return next(new AppError('Please choose a start date for the tour.', 400));
+  }
+
+  if (!Number.isInteger(participants) || participants < 1) {
+    return next(
+      new AppError(
+        'The number of participants must be a whole number of at least 1.',
+        400
+      )
+    );
+  }
+
+  if (!tour.getAvailableDeparture(startDate)) {
+    return next(
+      new AppError(
+        'The chosen start date is not available for this tour. Please choose another one.',
+        400
+      )
+    );
+  }
+
+  const departure = tour.getAvailableDeparture(startDate, participants);
+
+  if (!departure) {
+    return next(
+      new AppError(
+        'There are not enough seats left on the chosen start date for all the participants.',
+        400
+      )
+    );
+  }
+
+  // Seats offered to the waitlist are held until the offer expires, only the user it was offered to can book them
+  const heldSeats = await Waitlist.countHeldSeats(
+    tour._id,
+    departure.date,
+    req.user.id
+  );
+
+  if (departure.participants + participants + heldSeats > tour.maxGroupSize) {
+    return next(
+      new AppError(
+        'The seats left on the chosen start date are held for travelers on the waitlist. Please join the waitlist or choose another date.',
+        400
+      )
+    );
+  }
+
+  // 3. Apply the coupon discount to the price per person, if a code was given
+  let price = tour.effectivePrice;
+  let coupon;
+
+  if (req.query.coupon) {
+    coupon = await Coupon.findRedeemable(req.query.coupon, tour.id);
+    price = coupon.applyDiscount(price);
+
+    if (price * participants < STRIPE_MINIMUM_CHARGE) {
+      return next(
+        new AppError(
+          "This coupon code can't be used for this booking, its discount covers the whole price.",
+          400
+        )
+      );
+    }
+  }
+
+  // 4. Create checkout session
   const session = await stripe.checkout.sessions.create({
     payment_method_types: ['card'],
     /* success_url: `${req.protocol}://${req.get('host')}/?tour=${
@@ -21,21 +106,28 @@ exports.getCheckoutSession = catchAsync(async (req, res, next) => {
     cancel_url: `${req.protocol}://${req.get('host')}/tour/${tour.slug}`,
     customer_email: req.user.email,
     client_reference_id: req.params.tourId,
+    metadata: {
+      startDate: departure.date.toISOString(),
+      participants,
+      coupon: coupon ? coupon.id : '',
+      discount:
+        Math.round((tour.effectivePrice - price) * participants * 100) / 100,
+    },
     line_items: [
       {
-        name: `${tour.name} Tour`,
+        name: `${tour.name} Tour (${departure.date.toDateString()})`,
         description: tour.summary,
         images: [
           `${req.protocol}://${req.get('host')}/img/tours/${tour.imageCover}`,
         ],
-        amount: tour.price * 100, //Stripe expects price in cents
+        amount: Math.round(price * 100), //Stripe expects price in cents, per person
         currency: 'usd',
-        quantity: 1,
+        quantity: participants,
       },
     ],
   });
 
-  // 3. Create session as response
+  // 5. Create session as response
   res.status(200).json({
     status: 'success',
     session,
@@ -52,15 +144,164 @@ exports.getCheckoutSession = catchAsync(async (req, res, next) => {
   res.redirect(req.originalUrl.split('?')[0]);
 });*/
 
-const createBookingCheckout = async (session) => {
+const getMyToursUrl = (req) => `${req.protocol}://${req.get('host')}/my-tours`;
+
+/**
+ * Emails the booking's user about its cancellation, including the refund if there was one
+ * @param {*} booking - Booking with its user and tour populated
+ * @param {String} url
+ */
+const sendCancellationEmail = async (booking, url) => {
+  const email = new Email(booking.user, url);
+
+  if (booking.refundAmount > 0) {
+    await email.sendBookingRefund(booking);
+  } else {
+    await email.sendBookingCancellation(booking);
+  }
+};
+
+/**
+ * Refunds a paid checkout session whose booking was rejected, e.g. the departure sold out while
+ * the customer was paying, and lets the customer know
+ * @param {*} session - Stripe checkout session
+ * @param {*} customer
+ * @param {AppError} err - why the booking was rejected
+ * @param {String} url
+ */
+const rejectBookingCheckout = async (session, customer, err, url) => {
+  const refundAmount =
+    session.payment_status === 'paid' ? session.amount_total / 100 : 0;
+
+  // Stripe sends the event again if anything below fails, the key keeps it to a single refund
+  if (refundAmount > 0) {
+    await stripe.refunds.create(
+      { payment_intent: session.payment_intent },
+      { idempotencyKey: `refund-${session.id}` }
+    );
+  }
+
+  const tour = await Tour.findById(session.client_reference_id).select('name');
+  if (!tour) return;
+
+  // The checkout's cancel URL is the tour page, where another departure can be chosen
+  await new Email(customer, session.cancel_url || url).sendBookingRejected(
+    tour,
+    new Date(session.metadata.startDate),
+    refundAmount,
+    err.message
+  );
+};
+
+const createBookingCheckout = async (session, url) => {
+  // Stripe may deliver the same event again, the booking only has to be created once
+  if (await Booking.exists({ stripeSession: session.id })) return;
+
   const tour = session.client_reference_id;
-  const user = (await User.findOne({ email: session.customer_email })).id;
-  const price = session.amount_total / 100;
+  const customer = await User.findOne({ email: session.customer_email });
 
-  await Booking.create({ tour, user, price });
+  if (!customer) {
+    throw new AppError(
+      `No user found with email: ${session.customer_email}`,
+      404
+    );
+  }
+
+  const { startDate } = session.metadata;
+  const participants = session.metadata.participants * 1;
+  const coupon = session.metadata.coupon || undefined;
+  const discount = session.metadata.discount * 1 || 0;
+  const total = session.amount_total / 100;
+  const price = total / participants;
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      tour,
+      user: customer.id,
+      startDate,
+      participants,
+      price,
+      total,
+      coupon,
+      discount,
+      status: session.payment_status === 'paid' ? 'paid' : 'pending',
+      stripeSession: session.id,
+      paymentIntent: session.payment_intent,
+    });
+  } catch (err) {
+    // Duplicated session: the same event is being processed concurrently
+    if (err.code === 11000) return;
+
+    // Rejections like a sold out departure would fail on every retry, the payment is given back instead
+    if (err.isOperational && err.statusCode < 500) {
+      return rejectBookingCheckout(session, customer, err, url);
+    }
+    throw err;
+  }
+
+  // The user no longer needs to wait for this departure
+  await Waitlist.updateOne(
+    { tour, user: customer.id, startDate, status: { $ne: 'booked' } },
+    { status: 'booked' }
+  );
+
+  if (booking.status !== 'paid') return;
+
+  await booking.populate({ path: 'tour', select: 'name' }).execPopulate();
+  await new Email(customer, url).sendBookingConfirmation(booking);
+};
+
+const expireBookingCheckout = async (session, url) => {
+  const booking = await Booking.findOne({
+    stripeSession: session.id,
+    status: 'pending',
+  });
+
+  if (!booking) return;
+
+  // The same event may be processed concurrently, only the one ending the booking emails
+  if (await booking.cancel()) await sendCancellationEmail(booking, url);
+};
+
+const refundBookingCharge = async (charge, url) => {
+  const booking = await Booking.findOne({
+    paymentIntent: charge.payment_intent,
+  });
+  const refundAmount = charge.amount_refunded / 100;
+
+  // Refunds issued by cancelBooking were already recorded and emailed
+  // If cancelBooking hasn't recorded it yet, the booking is ended here and cancelBooking won't email again
+  if (!booking || booking.refundAmount === refundAmount) return;
+
+  await booking.cancel(refundAmount);
+  await sendCancellationEmail(booking, url);
+};
+
+const failBookingPayment = async (paymentIntent, url) => {
+  const booking = await Booking.findOne({
+    paymentIntent: paymentIntent.id,
+    status: 'pending',
+  });
+
+  if (!booking) return;
+
+  if (await booking.cancel()) await sendCancellationEmail(booking, url);
+};
+
+const webhookHandlers = {
+  'checkout.session.completed': createBookingCheckout,
+  'checkout.session.expired': expireBookingCheckout,
+  'charge.refunded': refundBookingCharge,
+  'payment_intent.payment_failed': failBookingPayment,
 };
 
-exports.webhookCheckout = (req, res, next) => {
+/**
+ * Stripe webhook
+ * Any processing error responds with a non 2xx status, so Stripe sends the event again later
+ * Bookings that can never be created are refunded by the handler instead of failing
+ */
+exports.webhookCheckout = async (req, res, next) => {
   const signature = req.headers['stripe-signature'];
   let event;
 
@@ -74,13 +315,117 @@ exports.webhookCheckout = (req, res, next) => {
     return res.status(400).send(`Webhook error: ${err.message}`);
   }
 
-  if (event.type === 'checkout.session.completed') {
-    createBookingCheckout(event.data.object);
+  const handler = webhookHandlers[event.type];
+
+  if (handler) {
+    try {
+      await handler(event.data.object, getMyToursUrl(req));
+    } catch (err) {
+      return res
+        .status(err.statusCode || 500)
+        .send(`Webhook error: ${err.message}`);
+    }
   }
 
   res.status(200).json({ received: true });
 };
 
+/**
+ * Cancels one of the logged in user's bookings
+ * Refunds the booking through Stripe according to the cancellation policy and gives the seats back to the departure
+ */
+exports.cancelBooking = catchAsync(async (req, res, next) => {
+  // 1. Get the booking, users can only cancel their own
+  const filter = { _id: req.params.id };
+  if (req.ownOnly) filter.user = req.user.id;
+
+  const existing = await Booking.findOne(filter);
+
+  if (!existing) {
+    return next(
+      new AppError(`No booking found with id: ${req.params.id}`, 404)
+    );
+  }
+
+  // Bookings made before departures existed have no date, see dev-data/data/migrate-bookings.js
+  if (!existing.startDate) {
+    return next(
+      new AppError(
+        'This booking has no departure date on record. Please contact us to cancel it.',
+        400
+      )
+    );
+  }
+
+  if (existing.startDate < Date.now()) {
+    return next(
+      new AppError(
+        'This tour has already departed and cannot be cancelled.',
+        400
+      )
+    );
+  }
+
+  // 2. Claim the booking, so concurrent requests can't cancel and refund it twice
+  const booking = await Booking.findOneAndUpdate(
+    { ...filter, status: 'paid' },
+    { status: 'cancelling' },
+    { new: true }
+  );
+
+  if (!booking) {
+    return next(
+      new AppError(
+        `This booking can't be cancelled, it is ${existing.status}.`,
+        400
+      )
+    );
+  }
+
+  // 3. Refund the booking according to the cancellation policy
+  const refundAmount = calcRefund(booking.total, booking.startDate);
+
+  try {
+    if (refundAmount > 0) {
+      if (!booking.paymentIntent) {
+        throw new AppError(
+          'This booking has no payment to refund. Please contact us to cancel it.',
+          400
+        );
+      }
+
+      // Stripe returns the same refund when a key is sent again, a booking is never refunded twice
+      await stripe.refunds.create(
+        {
+          payment_intent: booking.paymentIntent,
+          amount: Math.round(refundAmount * 100), //Stripe expects amount in cents
+        },
+        { idempotencyKey: `refund-${booking.id}` }
+      );
+    }
+  } catch (err) {
+    await Booking.updateOne(
+      { _id: booking._id, status: 'cancelling' },
+      { status: 'paid' }
+    );
+    return next(err);
+  }
+
+  // 4. Update booking status and give the seats back to the departure
+  // The charge.refunded webhook may have done it already, and then emailed the user too
+  const ended = await booking.cancel(refundAmount);
+
+  // 5. Let the user know
+  if (ended) await sendCancellationEmail(booking, getMyToursUrl(req));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      data: booking,
+    },
+  });
+});
+
 exports.createBooking = factory.createOne(Booking);
 exports.getAllBookings = factory.getAll(Booking);
 exports.getBooking = factory.getOne(Booking);
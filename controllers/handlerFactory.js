@@ -1,6 +1,22 @@
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
+const cache = require('../utils/cache');
+
+/**
+ * Returns the URL of the current request with some query params replaced
+ * @param {*} req
+ * @param {Object} params
+ * @returns
+ */
+const getPageUrl = (req, params) => {
+  const query = new URLSearchParams(req.originalUrl.split('?')[1]);
+  Object.keys(params).forEach((key) => query.set(key, params[key]));
+
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${
+    req.path
+  }?${query}`;
+};
 
 exports.deleteOne = (Model) =>
   catchAsync(async (req, res, next) => {
@@ -10,6 +26,9 @@ exports.deleteOne = (Model) =>
       return next(new AppError(`No tour found with id: ${req.params.id}`, 404));
     }
 
+    // Cached responses built from this model are out of date now
+    await cache.invalidate(Model.modelName);
+
     res.status(204).json({
       status: 'success',
       data: null,
@@ -29,6 +48,8 @@ exports.updateOne = (Model) =>
       );
     }
 
+    await cache.invalidate(Model.modelName);
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -41,6 +62,8 @@ exports.createOne = (Model) =>
   catchAsync(async (req, res, next) => {
     const document = await Model.create(req.body);
 
+    await cache.invalidate(Model.modelName);
+
     res.status(201).json({
       status: 'success',
       data: {
@@ -83,12 +106,27 @@ exports.getAll = (Model) =>
       .limitFields()
       .paginate();
 
-    const documents = await features.query;
+    const { documents, pagination } = await features.getPagination(
+      await features.query
+    );
     //const documents = await features.query.explain();
 
+    // Links to the neighbouring pages, keeping the rest of the query string
+    if (pagination.page) {
+      if (pagination.page < pagination.pageCount) {
+        pagination.next = getPageUrl(req, { page: pagination.page + 1 });
+      }
+      if (pagination.page > 1) {
+        pagination.prev = getPageUrl(req, { page: pagination.page - 1 });
+      }
+    } else if (pagination.next) {
+      pagination.next = getPageUrl(req, { after: pagination.next });
+    }
+
     res.status(200).json({
       status: 'success',
       results: documents.length,
+      pagination,
       data: {
         data: documents,
       },
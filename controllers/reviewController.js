@@ -1,13 +1,90 @@
 const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
 const Review = require('../models/reviewModel');
+const Booking = require('../models/bookingModel');
 const factory = require('./handlerFactory');
 
+/**
+ * Sets the tour and user of a new review
+ * The user is always the logged in one, and the tour must match the one in the URL on nested routes
+ */
 exports.setTourUserIds = (req, res, next) => {
+  if (req.body.user && req.body.user !== req.user.id) {
+    return next(new AppError('You can only write reviews as yourself.', 403));
+  }
+
+  if (
+    req.params.tourId &&
+    req.body.tour &&
+    req.body.tour !== req.params.tourId
+  ) {
+    return next(
+      new AppError('You can only review the tour of this route.', 403)
+    );
+  }
+
   if (!req.body.tour) req.body.tour = req.params.tourId;
-  if (!req.body.user) req.body.user = req.user.id;
+  req.body.user = req.user.id;
+  next();
+};
+
+/**
+ * Middleware that only lets customers review a tour they booked and already departed on
+ * Must be used after setTourUserIds
+ */
+exports.checkVerifiedTraveler = catchAsync(async (req, res, next) => {
+  const hasTraveled = await Booking.exists({
+    user: req.body.user,
+    tour: req.body.tour,
+    status: 'paid',
+    // Bookings made before departures existed have no date, they were all traveled already
+    $or: [
+      { startDate: { $lt: Date.now() } },
+      { startDate: { $exists: false } },
+    ],
+  });
+
+  if (!hasTraveled) {
+    return next(
+      new AppError(
+        'You can only review tours you have booked and already traveled on.',
+        403
+      )
+    );
+  }
+
+  req.body.verifiedTraveler = true;
+  next();
+});
+
+/**
+ * Middleware that forbids moving an existing review to another user or tour
+ */
+exports.restrictReviewFields = (req, res, next) => {
+  if (req.body.user || req.body.tour) {
+    return next(
+      new AppError("The user and tour of a review can't be changed.", 403)
+    );
+  }
+
+  // Only set when the review is created, from the user's bookings
+  if (req.body.verifiedTraveler !== undefined) {
+    return next(
+      new AppError("The verified traveler flag can't be changed.", 403)
+    );
+  }
+
   next();
 };
 
+/**
+ * Ownership check for the `can` middleware, true if the requested review was written by the logged in user
+ * @param {*} req
+ * @returns
+ */
+exports.isReviewOwner = (req) =>
+  Review.exists({ _id: req.params.id, user: req.user.id });
+
 exports.getAllReviews = factory.getAll(Review);
 exports.getReview = factory.getOne(Review);
 exports.createReview = factory.createOne(Review);
@@ -4,6 +4,7 @@ const sharp = require('sharp');
 const Tour = require('../models/tourModel');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const APIFeatures = require('../utils/apiFeatures');
 const factory = require('./handlerFactory');
 
 const multerStorage = multer.memoryStorage();
@@ -66,8 +67,9 @@ exports.resizeTourImages = catchAsync(async (req, res, next) => {
  */
 exports.aliasTopTours = (req, res, next) => {
   req.query.limit = '5';
-  req.query.sort = '-ratingsAverage,price';
-  req.query.fields = 'name,price,ratingsAverage,summary,difficulty';
+  req.query.sort = '-ratingsAverage,effectivePrice';
+  req.query.fields =
+    'name,price,priceDiscount,effectivePrice,ratingsAverage,summary,difficulty';
   next();
 };
 
@@ -153,13 +155,17 @@ exports.getTourStats = catchAsync(async (req, res, next) => {
 exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
   const year = +req.params.year;
 
+  // Guides only see the tours they are assigned to
+  const pipeline = req.ownOnly ? [{ $match: { guides: req.user._id } }] : [];
+
   const plan = await Tour.aggregate([
+    ...pipeline,
     {
       $unwind: '$startDates',
     },
     {
       $match: {
-        startDates: {
+        'startDates.date': {
           $gte: new Date(`${year}-01-01`),
           $lte: new Date(`${year}-12-01`),
         },
@@ -167,7 +173,7 @@ exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
     },
     {
       $group: {
-        _id: { $month: '$startDates' },
+        _id: { $month: '$startDates.date' },
         numTourStarts: { $sum: 1 },
         tours: { $push: '$name' },
       },
@@ -194,6 +200,58 @@ exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Full-text search on the tours, ordered by relevance
+ * /search?q=forest hiking&limit=10
+ */
+exports.searchTours = catchAsync(async (req, res, next) => {
+  const query = `${req.query.q || ''}`.trim();
+
+  if (!query || query.length > 100) {
+    return next(
+      new AppError(
+        'Please provide a search query of up to 100 characters.',
+        400
+      )
+    );
+  }
+
+  const limit = Math.min(req.query.limit * 1 || 20, 100);
+  const tours = await Tour.search(query, limit);
+
+  res.status(200).json({
+    status: 'success',
+    results: tours.length,
+    data: {
+      data: tours,
+    },
+  });
+});
+
+/**
+ * Counts of tours per difficulty, price, duration, rating and start month, for the current filters
+ * Takes the same filters as getAllTours, e.g. /facets?difficulty=easy&price[lt]=1000,
+ * and optionally the search of /search, e.g. /facets?q=forest
+ */
+exports.getTourFacets = catchAsync(async (req, res, next) => {
+  const filterQuery = { ...req.query };
+  delete filterQuery.q;
+
+  const filter = new APIFeatures(Tour.find(), filterQuery)
+    .filter()
+    .query.getFilter();
+
+  const search = `${req.query.q || ''}`.trim().slice(0, 100);
+  const facets = await Tour.getFacets(filter, search);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      facets,
+    },
+  });
+});
+
 exports.getToursWithin = catchAsync(async (req, res, next) => {
   const { distance, latlng, unit } = req.params;
   const [lat, lng] = latlng.split(',');
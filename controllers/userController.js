@@ -4,6 +4,7 @@ const User = require('../models/userModel');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('./handlerFactory');
+const { sendEmailVerification } = require('./authController');
 
 /* const multerStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -88,6 +89,11 @@ exports.updateMe = catchAsync(async (req, res, next) => {
     runValidators: true,
   });
 
+  // 4. A changed email address stays unverified until the user clicks the emailed link
+  if (updatedUser.email !== req.user.email) {
+    await sendEmailVerification(updatedUser, req);
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -104,6 +110,26 @@ exports.deleteMe = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Lifts the lockout of a user's account after too many failed logins
+ */
+exports.unlockUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError(`No user found with id: ${req.params.id}`, 404));
+  }
+
+  await user.resetFailedLogins();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
 exports.createUser = (req, res) => {
   res.status(500).json({
     status: 'error',
@@ -1,19 +1,77 @@
 const Tour = require('../models/tourModel');
 const Booking = require('../models/bookingModel');
 const User = require('../models/userModel');
+const Waitlist = require('../models/waitlistModel');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/apiFeatures');
+const { sendEmailVerification } = require('./authController');
+const oidc = require('../utils/oidc');
+const { hashToken } = require('../utils/tokens');
+
+const FACET_TITLES = {
+  difficulty: 'Difficulty',
+  price: 'Price',
+  duration: 'Duration',
+  rating: 'Rating',
+  startMonth: 'Start month',
+};
+
+/**
+ * Turns the tour facets into filter chips linking to the overview page
+ * A chip adds its filter to the current ones, or removes it if it's already applied
+ * @param {Object} facets - from Tour.getFacets
+ * @param {*} req
+ * @returns
+ */
+const getFilterChips = (facets, req) => {
+  const currentParams = new URLSearchParams(req.originalUrl.split('?')[1]);
+  currentParams.delete('alert');
+
+  return Object.keys(facets).map((name) => ({
+    title: FACET_TITLES[name],
+    chips: facets[name].map(({ field, label, count, query }) => {
+      const active = Object.keys(query).every(
+        (key) => currentParams.get(key) === `${query[key]}`
+      );
+
+      // Only one value per field, so drop the field's current filter first
+      const params = new URLSearchParams(currentParams);
+      [...params.keys()]
+        .filter((key) => key === field || key.startsWith(`${field}[`))
+        .forEach((key) => params.delete(key));
+      if (!active) {
+        Object.keys(query).forEach((key) => params.set(key, query[key]));
+      }
+
+      return { label, count, active, href: `/?${params}` };
+    }),
+  }));
+};
 
 exports.getOverview = catchAsync(async (req, res, next) => {
-  // 1. Get tours data from collection
-  const tours = await Tour.find();
+  // 1. Get tours data from collection, the ones matching the search box and filter chips
+  const searchQuery = `${req.query.q || ''}`.trim().slice(0, 100);
+  const filterQuery = { ...req.query };
+  ['q', 'alert'].forEach((el) => delete filterQuery[el]);
+
+  const filter = new APIFeatures(Tour.find(), filterQuery)
+    .filter()
+    .query.getFilter();
+
+  const tours = searchQuery
+    ? await Tour.search(searchQuery, 20, filter)
+    : await Tour.find(filter);
+  const facets = await Tour.getFacets(filter, searchQuery);
 
   // 2. Build template
   // 3. Render template using tour data
 
   res.status(200).render('overview', {
-    title: 'All Tours',
+    title: searchQuery ? `Search results for ${searchQuery}` : 'All Tours',
     tours,
+    searchQuery,
+    filterGroups: getFilterChips(facets, req),
   });
 });
 
@@ -21,22 +79,103 @@ exports.getTour = catchAsync(async (req, res, next) => {
   //1. Get the data, for the requested tour (including reviews and guides)
   const tour = await Tour.findOne({ slug: req.params.slug }).populate({
     path: 'reviews',
-    fields: 'review rating user',
+    fields: 'review rating user verifiedTraveler',
   });
 
   if (!tour) {
     return next(new AppError('Tour not found', 404));
   }
 
+  // Seats held for the waitlist can't be booked, except by the user they were offered to
+  const seatsLeft = await Waitlist.getSeatsLeft(
+    tour,
+    res.locals.user && res.locals.user.id
+  );
+
   res.status(200).render('tour', {
     title: `${tour.name} Tour`,
     tour,
+    seatsLeft,
+    selectedStartDate: req.query.startDate,
   });
 });
 
+/**
+ * Booking link emailed to a waitlisted user when a seat frees up
+ * Redirects to the tour page with the departure already selected
+ */
+exports.getWaitlistOffer = catchAsync(async (req, res, next) => {
+  const entry = await Waitlist.findOne({
+    offerToken: hashToken(req.params.token),
+    status: 'notified',
+    offerExpires: { $gt: Date.now() },
+  }).populate({ path: 'tour', select: 'slug' });
+
+  if (!entry || !entry.tour) {
+    return next(
+      new AppError('This booking link is invalid or has expired.', 400)
+    );
+  }
+
+  res.redirect(
+    `/tour/${entry.tour.slug}?alert=waitlist&startDate=${encodeURIComponent(
+      entry.startDate.toISOString()
+    )}`
+  );
+});
+
+/**
+ * Verification link emailed on signup and email change
+ * Redirects to the account page once the email address is verified
+ */
+exports.getEmailVerification = catchAsync(async (req, res, next) => {
+  const user = await User.verifyEmail(req.params.token);
+
+  if (!user) {
+    return next(
+      new AppError('This verification link is invalid or has expired.', 400)
+    );
+  }
+
+  res.redirect('/me?alert=email-verified');
+});
+
 exports.getLoginForm = (req, res) => {
   res.status(200).render('login', {
     title: 'Log into your account',
+    oidcProvider: oidc.isEnabled() && (process.env.OIDC_PROVIDER_NAME || 'SSO'),
+  });
+};
+
+/**
+ * Page the external OpenID Connect provider redirects back to
+ * The login page sends the code on load, so the login response is handled like any other
+ */
+exports.getOidcCallback = (req, res, next) => {
+  if (req.query.error) {
+    return next(
+      new AppError(
+        `Login with the external provider failed: ${req.query.error}`,
+        401
+      )
+    );
+  }
+
+  res.status(200).render('login', {
+    title: 'Log into your account',
+    oidcCode: req.query.code,
+    oidcState: req.query.state,
+  });
+};
+
+/**
+ * Passwordless login link emailed to the user
+ * The login page uses the token on load, the link itself doesn't log in
+ */
+exports.getMagicLinkLogin = (req, res) => {
+  res.status(200).render('login', {
+    title: 'Log into your account',
+    magicLinkToken: req.params.token,
   });
 };
 
@@ -59,6 +198,11 @@ exports.updateUserData = catchAsync(async (req, res, next) => {
     }
   );
 
+  // A changed email address stays unverified until the user clicks the emailed link
+  if (updatedUser.email !== req.user.email) {
+    await sendEmailVerification(updatedUser, req);
+  }
+
   res.status(200).render('account', {
     title: 'Your account',
     user: updatedUser,
@@ -67,7 +211,10 @@ exports.updateUserData = catchAsync(async (req, res, next) => {
 
 exports.getMyTours = catchAsync(async (req, res, next) => {
   //1. Find all bookings
-  const bookings = await Booking.find({ user: req.user.id });
+  const bookings = await Booking.find({
+    user: req.user.id,
+    status: { $nin: ['cancelled', 'refunded'] },
+  });
 
   //2. Find tours with the returned Ids
   const toursIds = bookings.map((booking) => booking.tour);
@@ -86,5 +233,12 @@ exports.alerts = (req, res, next) => {
     res.locals.alert =
       'Your booking was successful! Please check your email for a confirmation. If your booking doesnt show up here immediately, please come back later.';
 
+  if (alert === 'waitlist')
+    res.locals.alert =
+      'A seat is available for you on this date! Book it before your offer expires.';
+
+  if (alert === 'email-verified')
+    res.locals.alert = 'Your email address was verified successfully!';
+
   next();
 };
@@ -0,0 +1,105 @@
+const Tour = require('../models/tourModel');
+const Waitlist = require('../models/waitlistModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const factory = require('./handlerFactory');
+
+/**
+ * Adds the logged in user to the waitlist of a sold out departure
+ */
+exports.joinWaitlist = catchAsync(async (req, res, next) => {
+  // 1. Check the departure exists and is actually sold out
+  const tour = await Tour.findById(req.params.tourId);
+
+  if (!tour) {
+    return next(
+      new AppError(`No tour found with id: ${req.params.tourId}`, 404)
+    );
+  }
+
+  const startDate = new Date(req.body.startDate);
+  const departure = tour.startDates.find(
+    (el) => el.date.getTime() === startDate.getTime()
+  );
+
+  if (!departure || departure.date < Date.now()) {
+    return next(
+      new AppError('Please choose an upcoming start date of this tour.', 400)
+    );
+  }
+
+  // Seats held by other users' offers aren't available either
+  const seatsLeft = await Waitlist.getSeatsLeft(tour, req.user.id);
+
+  if (seatsLeft.get(departure.date.toISOString()) > 0) {
+    return next(
+      new AppError(
+        'There are still seats available on this date. Please book it instead.',
+        400
+      )
+    );
+  }
+
+  // 2. Add the user at the end of the line
+  // A user whose offer expired can join again, going back to the end of the line
+  const query = {
+    tour: tour._id,
+    user: req.user.id,
+    startDate: departure.date,
+  };
+  const existing = await Waitlist.findOne(query);
+
+  const expired =
+    existing &&
+    (existing.status === 'expired' ||
+      (existing.status === 'notified' && existing.offerExpires <= Date.now()));
+
+  if (existing && !expired) {
+    return next(
+      new AppError('You are already on the waitlist for this date.', 400)
+    );
+  }
+
+  const entry = existing || new Waitlist(query);
+  entry.status = 'waiting';
+  entry.createdAt = Date.now();
+  entry.offerToken = undefined;
+  entry.offerExpires = undefined;
+  await entry.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      data: entry,
+    },
+  });
+});
+
+/**
+ * Removes one of the logged in user's waitlist entries
+ */
+exports.leaveWaitlist = catchAsync(async (req, res, next) => {
+  const entry = await Waitlist.findOneAndDelete({
+    _id: req.params.id,
+    tour: req.params.tourId,
+    user: req.user.id,
+  });
+
+  if (!entry) {
+    return next(
+      new AppError(`No waitlist entry found with id: ${req.params.id}`, 404)
+    );
+  }
+
+  // The seat held by the user's offer goes to the next in line
+  if (entry.status === 'notified' && entry.offerExpires > Date.now()) {
+    await Waitlist.notifyNext(entry.tour, entry.startDate);
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+exports.getWaitlist = factory.getAll(Waitlist);
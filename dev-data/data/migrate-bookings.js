@@ -0,0 +1,58 @@
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+const Booking = require('../../models/bookingModel');
+
+dotenv.config({ path: './config.env' });
+
+const DB = process.env.DATABASE.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD
+);
+
+mongoose
+  .connect(DB, {
+    useNewUrlParser: true,
+    useCreateIndex: true,
+    useFindAndModify: false,
+    useUnifiedTopology: true,
+  })
+  .then(() => console.log('DB Connection successful...'));
+
+/**
+ * Brings bookings stored before booking statuses and departures existed to the current schema:
+ * - the `paid` flag becomes the `paid` or `pending` status (missing meant paid, its old default)
+ * - they were for one participant, so the total is the price
+ * Their departure date was never recorded and isn't guessed: bookings without a startDate are
+ * treated as already traveled, so they can be reviewed but not cancelled online nor reminded
+ * Running it again changes nothing
+ */
+const migrateBookings = async () => {
+  try {
+    const legacy = { status: { $exists: false } };
+
+    const results = await Promise.all([
+      Booking.collection.updateMany(
+        { ...legacy, paid: { $ne: false } },
+        { $set: { status: 'paid' }, $unset: { paid: 1 } }
+      ),
+      Booking.collection.updateMany(
+        { ...legacy, paid: false },
+        { $set: { status: 'pending' }, $unset: { paid: 1 } }
+      ),
+    ]);
+
+    await Booking.collection.updateMany({ participants: { $exists: false } }, [
+      { $set: { participants: 1, total: { $ifNull: ['$total', '$price'] } } },
+    ]);
+
+    const migrated = results.reduce((sum, el) => sum + el.modifiedCount, 0);
+    console.log(`${migrated} bookings migrated...`);
+    process.exit();
+  } catch (err) {
+    console.log(err);
+    process.exit(1);
+  }
+};
+
+migrateBookings();
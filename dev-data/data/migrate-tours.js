@@ -0,0 +1,83 @@
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+const Tour = require('../../models/tourModel');
+
+dotenv.config({ path: './config.env' });
+
+const DB = process.env.DATABASE.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD
+);
+
+mongoose
+  .connect(DB, {
+    useNewUrlParser: true,
+    useCreateIndex: true,
+    useFindAndModify: false,
+    useUnifiedTopology: true,
+  })
+  .then(() => console.log('DB Connection successful...'));
+
+/**
+ * Returns the changes bringing a stored tour to the current schema, empty if it's already up to date
+ * @param {Object} tour - raw document
+ * @returns
+ */
+const getTourChanges = (tour) => {
+  const changes = {};
+
+  const startDates = tour.startDates || [];
+  if (startDates.some((el) => el instanceof Date)) {
+    changes.startDates = startDates.map((el) =>
+      el instanceof Date
+        ? {
+            _id: new mongoose.Types.ObjectId(),
+            date: el,
+            participants: 0,
+            soldOut: false,
+          }
+        : el
+    );
+  }
+
+  const effectivePrice = tour.priceDiscount
+    ? tour.price - tour.priceDiscount
+    : tour.price;
+  if (tour.effectivePrice !== effectivePrice) {
+    changes.effectivePrice = effectivePrice;
+  }
+
+  return changes;
+};
+
+/**
+ * Brings tours stored before departures and effective prices existed to the current schema:
+ * - startDates go from plain dates to departures with their own seat count
+ * - effectivePrice is set from the price and its discount
+ * The raw collection is used so the documents are read as stored (secret tours included) and
+ * not cast to the new schema. Running it again changes nothing
+ */
+const migrateTours = async () => {
+  try {
+    const tours = await Tour.collection.find({}).toArray();
+
+    const updates = tours
+      .map((tour) => ({ _id: tour._id, changes: getTourChanges(tour) }))
+      .filter(({ changes }) => Object.keys(changes).length > 0);
+
+    await Promise.all(
+      updates.map(({ _id, changes }) =>
+        Tour.collection.updateOne({ _id }, { $set: changes })
+      )
+    );
+
+    console.log(`${updates.length} of ${tours.length} tours migrated...`);
+    process.exit();
+  } catch (err) {
+    console.log(err);
+    process.exit(1);
+  }
+};
+
+migrateTours();
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const Tour = require('./tourModel');
+const Coupon = require('./couponModel');
+const Waitlist = require('./waitlistModel');
 
 const model = {
   tour: {
@@ -11,17 +14,58 @@ const model = {
     ref: 'User',
     required: [true, 'Booking must belong to a User'],
   },
+  startDate: {
+    type: Date,
+    required: [true, 'A booking must have a start date'],
+  },
+  participants: {
+    type: Number,
+    default: 1,
+    min: [1, 'A booking must have at least one participant.'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'The number of participants ({VALUE}) must be a whole number.',
+    },
+  },
+  // Price per person
   price: {
     type: Number,
     required: [true, 'A booking must have a price.'],
   },
+  // Price for all the participants
+  total: Number,
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon',
+  },
+  // Amount taken off the total by the coupon
+  discount: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
-    default: Date.now(),
+    default: Date.now,
   },
-  paid: {
-    type: Boolean,
-    default: true,
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'paid', 'cancelling', 'cancelled', 'refunded'],
+      message:
+        'A booking status must be one of the following values: pending, paid, cancelling, cancelled or refunded',
+    },
+    default: 'paid',
+  },
+  // Stripe checkout session, used to avoid creating the same booking twice
+  stripeSession: String,
+  // Stripe payment intent, needed to refund the booking
+  paymentIntent: String,
+  cancelledAt: Date,
+  // Set once the departure reminder was emailed, so it's never sent twice
+  reminderSentAt: Date,
+  refundAmount: {
+    type: Number,
+    default: 0,
   },
 };
 
@@ -29,6 +73,57 @@ const options = {};
 
 const bookingSchema = mongoose.Schema(model, options);
 
+// Stripe can send the same webhook event more than once, a checkout session must only create one booking
+bookingSchema.index({ stripeSession: 1 }, { unique: true, sparse: true });
+bookingSchema.index({ paymentIntent: 1 }, { sparse: true });
+
+/**
+ * DOCUMENT MIDDLEWARE
+ * Calculates the booking total from the price per person when it's not given
+ */
+bookingSchema.pre('validate', function (next) {
+  if (this.total === undefined && this.price !== undefined) {
+    this.total = this.price * this.participants;
+  }
+  next();
+});
+
+/**
+ * DOCUMENT MIDDLEWARE
+ * Reserves the participants' seats on the tour's departure before a NEW booking is saved
+ * Fails with a 400 AppError when the departure doesn't have enough seats left
+ * Once the seats are reserved, the redemption of the booking's coupon is recorded
+ */
+bookingSchema.pre('save', async function (next) {
+  if (!this.isNew) return next();
+
+  await Tour.reserveSeats(this.tour, this.startDate, this.participants);
+  this.$locals.seatsReserved = true;
+
+  // A coupon used up by other checkouts in the meantime is still honoured: the customer
+  // already paid the price shown while the code was valid, the count just stops at the limit
+  if (this.coupon) await Coupon.redeem(this.coupon);
+  next();
+});
+
+bookingSchema.post('save', function () {
+  this.$locals.seatsReserved = false;
+});
+
+/**
+ * ERROR HANDLING MIDDLEWARE
+ * Gives the reserved seats back when a NEW booking could not be saved, e.g. a duplicated checkout session
+ */
+bookingSchema.post('save', function (error, doc, next) {
+  if (!this.$locals.seatsReserved) return next(error);
+
+  this.$locals.seatsReserved = false;
+  Tour.releaseSeats(this.tour, this.startDate, this.participants).then(
+    () => next(error),
+    next
+  );
+});
+
 bookingSchema.pre(/^find/, function (next) {
   this.populate('user').populate({
     path: 'tour',
@@ -37,6 +132,40 @@ bookingSchema.pre(/^find/, function (next) {
   next();
 });
 
+/* Instance Method available on all Booking documents */
+/**
+ * Marks the booking as cancelled (or refunded if any money was given back) and gives its seats back to the departure
+ * The freed seats are then offered to the departure's waitlist
+ * The status is changed by a conditional update, so when cancelBooking and a Stripe webhook cancel the
+ * same booking at once, only the one that actually ends it gives the seats back
+ * @param {Number} refundAmount
+ * @returns whether this call ended the booking
+ */
+bookingSchema.methods.cancel = async function (refundAmount = 0) {
+  const changes = {
+    status: refundAmount > 0 ? 'refunded' : 'cancelled',
+    refundAmount,
+    cancelledAt: this.cancelledAt || Date.now(),
+  };
+
+  const { n: ended } = await this.constructor.updateOne(
+    { _id: this._id, status: { $in: ['pending', 'paid', 'cancelling'] } },
+    changes
+  );
+
+  // Already ended, e.g. a refund issued later from the Stripe dashboard: only the refund changes
+  if (!ended) await this.constructor.updateOne({ _id: this._id }, changes);
+
+  this.set(changes);
+
+  if (ended) {
+    await Tour.releaseSeats(this.tour._id, this.startDate, this.participants);
+    await Waitlist.notifyNext(this.tour._id, this.startDate);
+  }
+
+  return !!ended;
+};
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking;
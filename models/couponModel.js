@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+
+const model = {
+  code: {
+    type: String,
+    required: [true, 'A coupon must have a code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  discountType: {
+    type: String,
+    required: [true, 'A coupon must have a discount type'],
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'A coupon discount type must be either: percentage or fixed',
+    },
+  },
+  // Percentage off, or amount off per person for fixed coupons
+  amount: {
+    type: Number,
+    required: [true, 'A coupon must have a discount amount'],
+    min: [0, 'A coupon discount amount must be positive'],
+    validate: {
+      message: 'A percentage coupon discount ({VALUE}) cannot be above 100',
+      // Only runs on save, updates are checked by the findOneAndUpdate middleware below
+      validator: function (val) {
+        if (!(this instanceof mongoose.Document)) return true;
+        return this.discountType !== 'percentage' || val <= 100;
+      },
+    },
+  },
+  expiresAt: Date,
+  // Leave empty for unlimited redemptions
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'A coupon must allow at least one redemption'],
+  },
+  redemptions: {
+    type: Number,
+    default: 0,
+  },
+  // Leave empty to make the coupon valid for every tour
+  tours: [
+    {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tour',
+    },
+  ],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+};
+
+const options = {};
+
+const couponSchema = mongoose.Schema(model, options);
+
+/**
+ * QUERY MIDDLEWARE
+ * Update validators don't have the document, so a percentage above 100 is checked here
+ * The update doesn't always include both the type and the amount, so the missing one is read from the current document
+ */
+couponSchema.pre('findOneAndUpdate', async function (next) {
+  const update = this.getUpdate();
+  const fields = { ...update, ...update.$set };
+
+  if (fields.amount === undefined && fields.discountType === undefined) {
+    return next();
+  }
+
+  const current = await this.model
+    .findOne(this.getQuery())
+    .select('discountType amount');
+
+  if (!current) return next();
+
+  const discountType =
+    fields.discountType !== undefined
+      ? fields.discountType
+      : current.discountType;
+  const amount = fields.amount !== undefined ? fields.amount : current.amount;
+
+  if (discountType === 'percentage' && amount > 100) {
+    return next(
+      new AppError(
+        `A percentage coupon discount (${amount}) cannot be above 100`,
+        400
+      )
+    );
+  }
+
+  next();
+});
+
+/* Instance Method available on all Coupon documents */
+/**
+ * Returns the price after applying the coupon's discount, never below 0
+ * @param {Number} price
+ * @returns
+ */
+couponSchema.methods.applyDiscount = function (price) {
+  const discounted =
+    this.discountType === 'percentage'
+      ? price * (1 - this.amount / 100)
+      : price - this.amount;
+
+  return Math.max(Math.round(discounted * 100) / 100, 0);
+};
+
+/* STATIC METHOD */
+/**
+ * Finds a coupon by its code and checks it can be redeemed for the given tour
+ * Throws a 400 AppError explaining why the coupon can't be used
+ * @param {String} code
+ * @param {*} tourId
+ * @returns the coupon
+ */
+couponSchema.statics.findRedeemable = async function (code, tourId) {
+  const coupon = await this.findOne({
+    code: `${code}`.trim().toUpperCase(),
+    active: true,
+  });
+
+  if (!coupon) {
+    throw new AppError('This coupon code is not valid.', 400);
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt < Date.now()) {
+    throw new AppError('This coupon code has expired.', 400);
+  }
+
+  if (coupon.maxRedemptions && coupon.redemptions >= coupon.maxRedemptions) {
+    throw new AppError('This coupon code has already been used up.', 400);
+  }
+
+  if (
+    coupon.tours.length > 0 &&
+    !coupon.tours.some((tour) => tour.toString() === tourId.toString())
+  ) {
+    throw new AppError('This coupon code is not valid for this tour.', 400);
+  }
+
+  return coupon;
+};
+
+/**
+ * Records a redemption of the coupon, only while it's below its redemption limit
+ * The limit is checked by the update itself, so concurrent checkouts can't count past it
+ * @param {*} couponId
+ * @returns whether the redemption was recorded
+ */
+couponSchema.statics.redeem = async function (couponId) {
+  const coupon = await this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptions', '$maxRedemptions'] } },
+      ],
+    },
+    { $inc: { redemptions: 1 } }
+  );
+
+  return !!coupon;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
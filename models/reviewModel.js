@@ -25,6 +25,11 @@ const model = {
     ref: 'User',
     required: [true, 'Review must belong to a user'],
   },
+  // Written by a customer who booked and completed the tour
+  verifiedTraveler: {
+    type: Boolean,
+    default: false,
+  },
 };
 
 const options = {
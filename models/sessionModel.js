@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/tokens');
+
+const model = {
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A session must belong to a User'],
+  },
+  // Hash of the current refresh token, rotated on every refresh
+  refreshToken: {
+    type: String,
+    select: false,
+  },
+  // Hash of the refresh token it replaced, still tolerated for a few seconds after the rotation
+  previousRefreshToken: {
+    type: String,
+    select: false,
+  },
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'A session must have an expiration date'],
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+};
+
+const options = {};
+
+const sessionSchema = mongoose.Schema(model, options);
+
+sessionSchema.index({ user: 1 });
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/* Instance Methods available on all Session documents */
+/**
+ * Creates the refresh token of a new session, rotateRefreshToken replaces it afterwards
+ * The session id is part of the token, so a reused (already rotated) token can still be traced back to its session
+ * @returns the unencrypted token, this is the one sent to the user
+ */
+sessionSchema.methods.createRefreshToken = function () {
+  const refreshToken = `${this._id}.${crypto.randomBytes(32).toString('hex')}`;
+  this.refreshToken = hashToken(refreshToken);
+
+  return refreshToken;
+};
+
+/**
+ * Replaces the session's refresh token, only if the given token is still the current one
+ * The check and the replacement are a single update, so two requests with the same token can't both rotate it
+ * @param {String} currentToken
+ * @returns the new unencrypted token, or undefined if the given token was no longer the current one
+ */
+sessionSchema.methods.rotateRefreshToken = async function (currentToken) {
+  const refreshToken = `${this._id}.${crypto.randomBytes(32).toString('hex')}`;
+  const changes = {
+    refreshToken: hashToken(refreshToken),
+    previousRefreshToken: hashToken(currentToken),
+    rotatedAt: Date.now(),
+    lastSeenAt: Date.now(),
+  };
+
+  const { nModified } = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      refreshToken: changes.previousRefreshToken,
+      revokedAt: { $exists: false },
+    },
+    changes
+  );
+
+  if (nModified === 0) return undefined;
+
+  this.set(changes);
+  return refreshToken;
+};
+
+/**
+ * Method to verify if a refresh token is the current one of the session
+ * @param {String} candidateToken
+ * @returns
+ */
+sessionSchema.methods.isCurrentRefreshToken = function (candidateToken) {
+  return hashToken(candidateToken) === this.refreshToken;
+};
+
+/**
+ * Method to verify if a refresh token was rotated just now, e.g. by two requests of the same browser at the same time
+ * Reusing it is then not considered a theft
+ * @param {String} candidateToken
+ * @returns
+ */
+sessionSchema.methods.wasJustRotated = function (candidateToken) {
+  return (
+    hashToken(candidateToken) === this.previousRefreshToken &&
+    this.rotatedAt > Date.now() - 10 * 1000
+  );
+};
+
+/**
+ * Updates when and from where the session was last used
+ * Only written once a minute, so not every request hits the DB
+ * @param {String} ip
+ */
+sessionSchema.methods.markSeen = async function (ip) {
+  if (this.lastSeenAt > Date.now() - 60 * 1000 && this.ip === ip) return;
+
+  this.lastSeenAt = Date.now();
+  this.ip = ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, ip }
+  );
+};
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+/* STATIC METHOD */
+/**
+ * Returns the session id embedded in a refresh token, or undefined if the token is malformed
+ * @param {String} refreshToken
+ * @returns
+ */
+sessionSchema.statics.getIdFromRefreshToken = function (refreshToken) {
+  const [id] = `${refreshToken}`.split('.');
+
+  return mongoose.Types.ObjectId.isValid(id) ? id : undefined;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const AppError = require('../utils/appError');
+const cache = require('../utils/cache');
+const { getSearchTerms, createSnippet } = require('../utils/searchSnippet');
 //const User = require('./userModel');
 
 const model = {
@@ -54,6 +57,8 @@ const model = {
       },
     },
   },
+  // Price after applying the discount, persisted so it can be sorted and filtered on
+  effectivePrice: Number,
   summary: {
     type: String,
     trim: true,
@@ -73,7 +78,24 @@ const model = {
     default: Date.now(),
     select: false,
   },
-  startDates: [Date],
+  // Each start date is a departure with its own seat count
+  startDates: [
+    {
+      date: {
+        type: Date,
+        required: [true, 'A tour departure must have a date'],
+      },
+      participants: {
+        type: Number,
+        default: 0,
+        min: [0, 'A tour departure cannot have negative participants'],
+      },
+      soldOut: {
+        type: Boolean,
+        default: false,
+      },
+    },
+  ],
   secretTour: {
     type: Boolean,
     default: false,
@@ -124,9 +146,33 @@ const options = {
 
 const tourSchema = new mongoose.Schema(model, options);
 
+const calcEffectivePrice = (price, priceDiscount) =>
+  priceDiscount ? price - priceDiscount : price;
+
 tourSchema.index({ price: 1, ratingsAverage: -1 });
+tourSchema.index({ effectivePrice: 1, ratingsAverage: -1 });
 tourSchema.index({ slug: 1 });
 tourSchema.index({ startLocation: '2dsphere' });
+// Keyword search, a match in the name counts more than one deep in the description
+tourSchema.index(
+  {
+    name: 'text',
+    summary: 'text',
+    description: 'text',
+    'startLocation.description': 'text',
+    'locations.description': 'text',
+  },
+  {
+    name: 'TourTextIndex',
+    weights: {
+      name: 10,
+      summary: 5,
+      'startLocation.description': 3,
+      'locations.description': 3,
+      description: 1,
+    },
+  }
+);
 
 /**
  * VIRTUAL PROPERTY
@@ -136,6 +182,10 @@ tourSchema.virtual('durationWeeks').get(function () {
   return this.duration / 7;
 });
 
+tourSchema.virtual('hasDiscount').get(function () {
+  return this.effectivePrice < this.price;
+});
+
 /**
  * Virtual Populate
  */
@@ -145,6 +195,321 @@ tourSchema.virtual('reviews', {
   localField: '_id',
 });
 
+/* Instance Methods available on all Tour documents */
+/**
+ * Returns the departures that haven't started yet, sorted by date
+ * @returns
+ */
+tourSchema.methods.getUpcomingDepartures = function () {
+  return this.startDates
+    .filter((departure) => departure.date > Date.now())
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Returns the upcoming departures that still have room for the given number of seats, sorted by date
+ * @param {Number} seats
+ * @returns
+ */
+tourSchema.methods.getAvailableDepartures = function (seats = 1) {
+  return this.getUpcomingDepartures().filter(
+    (departure) =>
+      !departure.soldOut && departure.participants + seats <= this.maxGroupSize
+  );
+};
+
+/**
+ * Returns the next upcoming departure that still has room for the given number of seats
+ * @param {Number} seats
+ * @returns
+ */
+tourSchema.methods.getNextAvailableDeparture = function (seats = 1) {
+  return this.getAvailableDepartures(seats)[0];
+};
+
+/**
+ * Returns the upcoming departure starting on the given date, if it still has room for the given number of seats
+ * @param {Date|String} date
+ * @param {Number} seats
+ * @returns
+ */
+tourSchema.methods.getAvailableDeparture = function (date, seats = 1) {
+  const time = new Date(date).getTime();
+
+  return this.getAvailableDepartures(seats).find(
+    (departure) => departure.date.getTime() === time
+  );
+};
+
+/* STATIC METHOD */
+/**
+ * Reserves seats on a tour departure (the next available one if no date is given).
+ * The update only matches while the departure still has enough free seats, so two
+ * concurrent bookings can't both take the last seat.
+ * @param {*} tourId
+ * @param {Date} date
+ * @param {Number} seats
+ * @returns the updated departure
+ */
+tourSchema.statics.reserveSeats = async function (tourId, date, seats = 1) {
+  //In static method, 'this' points to the model not an instance
+  const tour = await this.findById(tourId).select('maxGroupSize startDates');
+
+  if (!tour) {
+    throw new AppError(`No tour found with id: ${tourId}`, 404);
+  }
+
+  const departure = date
+    ? tour.startDates.find(
+        (el) => el.date.getTime() === new Date(date).getTime()
+      )
+    : tour.getNextAvailableDeparture(seats);
+
+  if (!departure) {
+    throw new AppError('There is no available departure for this tour.', 400);
+  }
+
+  const updatedTour = await this.findOneAndUpdate(
+    {
+      _id: tour._id,
+      startDates: {
+        $elemMatch: {
+          _id: departure._id,
+          participants: { $lte: tour.maxGroupSize - seats },
+        },
+      },
+    },
+    { $inc: { 'startDates.$.participants': seats } },
+    { new: true }
+  ).select('maxGroupSize startDates');
+
+  if (!updatedTour) {
+    throw new AppError(
+      `The departure on ${departure.date.toDateString()} is sold out.`,
+      400
+    );
+  }
+
+  const reserved = updatedTour.startDates.id(departure._id);
+
+  if (reserved.participants >= updatedTour.maxGroupSize) {
+    await this.updateOne(
+      { _id: tour._id, 'startDates._id': departure._id },
+      { $set: { 'startDates.$.soldOut': true } }
+    );
+    reserved.soldOut = true;
+  }
+
+  // Cached tour responses include the seats of each departure
+  await cache.invalidate(this.modelName);
+
+  return reserved;
+};
+
+/**
+ * Gives seats back to a tour departure, e.g. after a booking is cancelled
+ * The departure is no longer sold out once a seat is released
+ * @param {*} tourId
+ * @param {Date} date
+ * @param {Number} seats
+ */
+tourSchema.statics.releaseSeats = async function (tourId, date, seats = 1) {
+  await this.updateOne(
+    {
+      _id: tourId,
+      startDates: {
+        $elemMatch: { date: new Date(date), participants: { $gte: seats } },
+      },
+    },
+    {
+      $inc: { 'startDates.$.participants': -seats },
+      $set: { 'startDates.$.soldOut': false },
+    }
+  );
+
+  await cache.invalidate(this.modelName);
+};
+
+/**
+ * Full-text search on the tours, most relevant first
+ * Each tour gets its relevance `score` and a highlighted `snippet` of the text that matched,
+ * the snippet is HTML and left out when no term could be highlighted (e.g. a stemmed match)
+ * @param {String} query
+ * @param {Number} limit
+ * @param {Object} filter - optional extra conditions, e.g. from APIFeatures
+ * @returns plain tour objects (with virtuals), because of the extra fields
+ */
+tourSchema.statics.search = async function (query, limit = 20, filter = {}) {
+  const tours = await this.find(
+    { ...filter, $text: { $search: query } },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit);
+
+  const terms = getSearchTerms(query);
+
+  return tours.map((tour) => {
+    const texts = [
+      tour.name,
+      tour.summary,
+      tour.startLocation && tour.startLocation.description,
+      ...tour.locations.map((location) => location.description),
+      tour.description,
+    ];
+    const snippet = texts.reduce(
+      (found, text) => found || createSnippet(text, terms),
+      undefined
+    );
+
+    return {
+      ...tour.toObject(),
+      score: tour.get('score'),
+      snippet,
+    };
+  });
+};
+
+// Lower bounds of the facet buckets, the last bucket has no upper bound
+const FACET_BUCKETS = {
+  effectivePrice: [0, 500, 1000, 1500, 2000],
+  duration: [1, 4, 8, 15],
+  ratingsAverage: [1, 3, 4, 4.5],
+};
+
+const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+/**
+ * Range facet over a numeric field, counting the tours of each bucket in FACET_BUCKETS
+ * @param {String} field
+ * @returns the facet pipeline
+ */
+const bucketFacet = (field) => [
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries: [...FACET_BUCKETS[field], Number.MAX_VALUE],
+      default: 'other',
+      output: { count: { $sum: 1 } },
+    },
+  },
+  { $match: { _id: { $ne: 'other' } } },
+];
+
+/**
+ * Turns the buckets counted by bucketFacet into facet values
+ * @param {String} field
+ * @param {Array} buckets
+ * @param {Function} label - (min, max) => label, max is undefined for the last bucket
+ * @returns
+ */
+const toRangeValues = (field, buckets, label) =>
+  buckets.map(({ _id: min, count }) => {
+    const boundaries = FACET_BUCKETS[field];
+    const max = boundaries[boundaries.indexOf(min) + 1];
+    const query = { [`${field}[gte]`]: min };
+    if (max !== undefined) query[`${field}[lt]`] = max;
+
+    return { field, label: label(min, max), count, query };
+  });
+
+/**
+ * Counts the tours per difficulty, price, duration, rating and upcoming start month
+ * Every facet applies all the filters except the one on its own field, so the other values of a field stay visible
+ * @param {Object} filter - conditions built by APIFeatures.filter
+ * @param {String} search - optional full-text search the counts are restricted to, as in Tour.search
+ * @returns each facet's values, with the query string params that filter by it
+ */
+tourSchema.statics.getFacets = async function (filter = {}, search) {
+  const without = (...fields) => {
+    const conditions = { ...filter };
+    fields.forEach((field) => delete conditions[field]);
+    return { $match: conditions };
+  };
+
+  // Aggregations skip the query middleware hiding secret tours, and $text must be in the first stage
+  const visible = { secretTour: { $ne: true } };
+  if (search) visible.$text = { $search: search };
+
+  const [facets] = await this.aggregate([
+    { $match: visible },
+    {
+      $facet: {
+        difficulty: [
+          without('difficulty'),
+          { $group: { _id: '$difficulty', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        price: [without('effectivePrice'), ...bucketFacet('effectivePrice')],
+        duration: [without('duration'), ...bucketFacet('duration')],
+        rating: [without('ratingsAverage'), ...bucketFacet('ratingsAverage')],
+        startMonth: [
+          // A start month range is an $elemMatch on startDates
+          without('startDates', 'startDates.date'),
+          { $unwind: '$startDates' },
+          { $match: { 'startDates.date': { $gte: new Date() } } },
+          {
+            $group: {
+              _id: {
+                year: { $year: '$startDates.date' },
+                month: { $month: '$startDates.date' },
+              },
+              tours: { $addToSet: '$_id' },
+            },
+          },
+          { $sort: { '_id.year': 1, '_id.month': 1 } },
+          { $limit: 12 },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    difficulty: facets.difficulty.map(({ _id: difficulty, count }) => ({
+      field: 'difficulty',
+      label: difficulty,
+      count,
+      query: { difficulty },
+    })),
+    price: toRangeValues('effectivePrice', facets.price, (min, max) =>
+      max ? `$${min} - $${max - 1}` : `$${min}+`
+    ),
+    duration: toRangeValues('duration', facets.duration, (min, max) =>
+      max ? `${min}-${max - 1} days` : `${min}+ days`
+    ),
+    rating: toRangeValues('ratingsAverage', facets.rating, (min, max) =>
+      max ? `${min} - ${max}` : `${min}+`
+    ),
+    startMonth: facets.startMonth.map(({ _id: { year, month }, tours }) => {
+      const start = new Date(Date.UTC(year, month - 1, 1));
+      const end = new Date(Date.UTC(year, month, 1));
+
+      return {
+        field: 'startDates.date',
+        label: `${MONTHS[month - 1]} ${year}`,
+        count: tours.length,
+        query: {
+          'startDates.date[gte]': start.toISOString(),
+          'startDates.date[lt]': end.toISOString(),
+        },
+      };
+    }),
+  };
+};
+
 /**
  * DOCUMENT MIDDLWARE
  * Runs BEFORE an event, only works for .save() and .create() event
@@ -154,6 +519,15 @@ tourSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * DOCUMENT MIDDLWARE
+ * Keeps the effective price in sync with the price and its discount
+ */
+tourSchema.pre('save', function (next) {
+  this.effectivePrice = calcEffectivePrice(this.price, this.priceDiscount);
+  next();
+});
+
 /*
 EXAMPLE ON EMBEDDING USERS INTO TOURS
 tourSchema.pre('save', async function (next) {
@@ -177,6 +551,56 @@ tourSchema.pre(/^find/g, function (next) {
   next();
 });
 
+/**
+ * QUERY MIDDLEWARE
+ * Recalculates the effective price when an update changes the price or its discount
+ * The update doesn't always include both values, so the missing one is read from the current document
+ */
+tourSchema.pre('findOneAndUpdate', async function (next) {
+  const update = this.getUpdate();
+  const fields = { ...update, ...update.$set };
+
+  if (fields.price === undefined && fields.priceDiscount === undefined) {
+    return next();
+  }
+
+  const current = await this.model
+    .findOne(this.getQuery())
+    .select('price priceDiscount');
+
+  if (!current) return next();
+
+  const price = fields.price !== undefined ? fields.price : current.price;
+  const priceDiscount =
+    fields.priceDiscount !== undefined
+      ? fields.priceDiscount
+      : current.priceDiscount;
+
+  this.set('effectivePrice', calcEffectivePrice(price, priceDiscount));
+  next();
+});
+
+/**
+ * QUERY MIDDLEWARE
+ * When an update changes the group size, the departures' sold out flags are recalculated
+ * and any new free seats are offered to the waitlist
+ */
+tourSchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate();
+  const fields = { ...update, ...update.$set };
+
+  if (!doc || fields.maxGroupSize === undefined) return;
+
+  doc.startDates.forEach((departure) => {
+    departure.soldOut = departure.participants >= doc.maxGroupSize;
+  });
+  await doc.save({ validateBeforeSave: false });
+  await cache.invalidate(this.model.modelName);
+
+  // Looked up here to avoid a circular dependency, the Waitlist model requires this one
+  await mongoose.model('Waitlist').notifyAvailable(doc);
+});
+
 tourSchema.pre(/^find/, function (next) {
   // 'this' points to the current query
   this.populate({
@@ -2,6 +2,9 @@ const crypto = require('crypto');
 const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
+const { authenticator } = require('otplib');
+const { createToken, hashToken } = require('../utils/tokens');
+const AppError = require('../utils/appError');
 
 const model = {
   name: {
@@ -40,7 +43,59 @@ const model = {
       message: 'Passwords are not the same.',
     },
   },
+  // Only false while waiting for the user to confirm their address, accounts created before verification existed don't have it
+  emailVerified: Boolean,
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
   passwordChangedAt: Date,
+  // Increased to log the user out everywhere, tokens with an older version are rejected
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Consecutive failed logins, reset on the next successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Hashed one-time codes to log in when the authenticator app is not available
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Account at the external OpenID Connect provider the user can log in with
+  oidcIssuer: {
+    type: String,
+    select: false,
+  },
+  oidcSubject: {
+    type: String,
+    select: false,
+  },
+  magicLinkToken: {
+    type: String,
+    select: false,
+  },
+  magicLinkExpires: {
+    type: Date,
+    select: false,
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   active: {
@@ -61,6 +116,12 @@ const options = {
 
 const userSchema = mongoose.Schema(model, options);
 
+// An external account can only be linked to one user
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $exists: true } } }
+);
+
 /**
  * DOCUMENT MIDDLWARE
  * Runs BEFORE an event, only works for .save() and .create() event
@@ -123,20 +184,278 @@ userSchema.methods.hasPasswordChangedAfter = function (JWTTimestamp) {
   return false;
 };
 
-userSchema.methods.createPasswordResetToken = function () {
-  const resetToken = crypto.randomBytes(32).toString('hex');
+/**
+ * Method to verify if a JWT token was issued before the user logged out everywhere
+ * @param {Number} JWTTokenVersion
+ * @returns
+ */
+userSchema.methods.hasTokenVersionChanged = function (JWTTokenVersion) {
+  return (JWTTokenVersion || 0) !== (this.tokenVersion || 0);
+};
+
+userSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+/**
+ * Progressive delay after a few failed logins, doubling with each new failure
+ * @returns the milliseconds left before the next login attempt is allowed
+ */
+userSchema.methods.getLoginDelay = function () {
+  const freeAttempts = process.env.LOGIN_FREE_ATTEMPTS * 1 || 3;
+  if (!this.lastFailedLoginAt || this.failedLoginAttempts < freeAttempts) {
+    return 0;
+  }
+
+  const delay = 2 ** (this.failedLoginAttempts - freeAttempts) * 1000;
+
+  return Math.max(this.lastFailedLoginAt.getTime() + delay - Date.now(), 0);
+};
+
+/**
+ * Counts a failed login, locking the account for LOGIN_LOCK_MINUTES (default 60)
+ * once LOGIN_MAX_ATTEMPTS (default 10) is reached
+ * The counter is increased atomically, so parallel attempts can't get around it
+ * @returns true if this failure locked the account
+ */
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = process.env.LOGIN_MAX_ATTEMPTS * 1 || 10;
+  const lockMinutes = process.env.LOGIN_LOCK_MINUTES * 1 || 60;
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: Date.now() },
+    { new: true }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+  if (this.failedLoginAttempts !== maxAttempts) return false;
+
+  // Start over once the lock ends, so the user isn't locked again on the next mistake
+  this.lockUntil = Date.now() + lockMinutes * 60 * 1000;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lockUntil: this.lockUntil, failedLoginAttempts: 0 }
+  );
+
+  return true;
+};
+
+/**
+ * Clears the failed logins and lock, after a successful login or when an admin unlocks the account
+ */
+userSchema.methods.resetFailedLogins = async function () {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      failedLoginAttempts: 0,
+      $unset: { lastFailedLoginAt: 1, lockUntil: 1 },
+    }
+  );
+};
+
+/**
+ * Method to verify if the user's role requires two-factor authentication
+ * Roles are configured in TWO_FACTOR_REQUIRED_ROLES as a comma separated list, admins by default
+ * @returns
+ */
+userSchema.methods.isTwoFactorRequired = function () {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin').split(',');
+
+  return roles.map((role) => role.trim()).includes(this.role);
+};
+
+/**
+ * Creates a new TOTP secret for the user, two-factor authentication is not enabled until a code is verified
+ * @returns the otpauth URI to add the account to an authenticator app
+ */
+userSchema.methods.createTwoFactorSecret = function () {
+  this.twoFactorSecret = authenticator.generateSecret();
+
+  return authenticator.keyuri(this.email, 'Natours', this.twoFactorSecret);
+};
+
+userSchema.methods.isCorrectTwoFactorCode = function (code) {
+  if (!this.twoFactorSecret || !code) return false;
+
+  return authenticator.check(
+    `${code}`.replace(/\s/g, ''),
+    this.twoFactorSecret
+  );
+};
+
+/**
+ * Creates 10 new recovery codes, replacing the previous ones
+ * @returns the unencrypted codes, these are the ones shown to the user
+ */
+userSchema.methods.createRecoveryCodes = function () {
+  const codes = [...Array(10)].map(() => crypto.randomBytes(5).toString('hex'));
+
+  this.twoFactorRecoveryCodes = codes.map(hashToken);
+
+  return codes;
+};
+
+/**
+ * Uses up a recovery code, each one only works once
+ * @param {String} code
+ * @returns true if the code was valid
+ */
+userSchema.methods.useRecoveryCode = function (code) {
+  const hashedCode = hashToken(`${code}`.trim().toLowerCase());
 
-  this.passwordResetToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+  if (!this.twoFactorRecoveryCodes.includes(hashedCode)) return false;
 
+  this.twoFactorRecoveryCodes = this.twoFactorRecoveryCodes.filter(
+    (el) => el !== hashedCode
+  );
+
+  return true;
+};
+
+userSchema.methods.createPasswordResetToken = function () {
+  const { token: resetToken, hashedToken } = createToken();
+
+  this.passwordResetToken = hashedToken;
   this.passwordResetExpires = Date.now() + 10 * 60 * 1000;
 
   // We return the unencrypted token, this is the one sent to the user
   return resetToken;
 };
 
+/**
+ * Creates the token of a passwordless login link, replacing any previous one
+ * @returns the unencrypted token, this is the one sent to the user
+ */
+userSchema.methods.createMagicLinkToken = function () {
+  const { token, hashedToken } = createToken();
+
+  this.magicLinkToken = hashedToken;
+  this.magicLinkExpires = Date.now() + 15 * 60 * 1000;
+
+  return token;
+};
+
+/**
+ * Marks the email address as unverified and creates the token of the link to verify it
+ * @returns the unencrypted token, this is the one sent to the user
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const { token, hashedToken } = createToken();
+
+  this.emailVerified = false;
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+/* STATIC METHODS */
+/**
+ * Verifies the email address of the user the token was sent to
+ * @param {String} token - unencrypted token from the verification link
+ * @returns the verified user, or null if the token is invalid or has expired
+ */
+userSchema.statics.verifyEmail = async function (token) {
+  const hashedToken = hashToken(token);
+
+  const user = await this.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) return null;
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+/**
+ * Uses up a passwordless login token, it's removed in the same operation so it can only be used once
+ * @param {String} token - unencrypted token from the login link
+ * @returns the user to log in, or null if the token is invalid or has expired
+ */
+userSchema.statics.useMagicLinkToken = function (token) {
+  const hashedToken = hashToken(token);
+
+  return this.findOneAndUpdate(
+    {
+      magicLinkToken: hashedToken,
+      magicLinkExpires: { $gt: Date.now() },
+    },
+    { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Returns the user of an external OpenID Connect account, linking or creating it on the first login
+ * An existing account with the same email is only linked if both the provider and this app verified the email,
+ * otherwise anyone could take it over by signing up at the provider, or here, with that email
+ * @param {String} issuer
+ * @param {Object} claims - ID token claims
+ * @returns the user and whether it was just created
+ */
+userSchema.statics.findOrCreateFromOidc = async function (issuer, claims) {
+  // 1. Already linked
+  const linkedUser = await this.findOne({
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  });
+  if (linkedUser) return { user: linkedUser, created: false };
+
+  if (!claims.email) {
+    throw new AppError(
+      'The external provider did not share your email address.',
+      400
+    );
+  }
+
+  // 2. Existing account with the same email
+  const user = await this.findOne({ email: claims.email.toLowerCase() });
+
+  if (user) {
+    // An unverified account may have been registered with someone else's email to catch their login
+    if (claims.email_verified !== true || user.emailVerified === false) {
+      throw new AppError(
+        'An account with this email already exists. Please log in with your password.',
+        409
+      );
+    }
+
+    user.oidcIssuer = issuer;
+    user.oidcSubject = claims.sub;
+    await user.save({ validateBeforeSave: false });
+
+    return { user, created: false };
+  }
+
+  // 3. New account, with a random password the user can change through a password reset
+  const password = crypto.randomBytes(32).toString('hex');
+  const newUser = await this.create({
+    name: claims.name || claims.email.split('@')[0],
+    email: claims.email,
+    password,
+    passwordConfirm: password,
+    emailVerified: claims.email_verified === true,
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  });
+
+  return { user: newUser, created: true };
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
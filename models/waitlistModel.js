@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Tour = require('./tourModel');
+const Email = require('../utils/email');
+const { createToken } = require('../utils/tokens');
+
+const model = {
+  tour: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tour',
+    required: [true, 'A waitlist entry must belong to a Tour'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A waitlist entry must belong to a User'],
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'A waitlist entry must have a start date'],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['waiting', 'notified', 'expired', 'booked'],
+      message:
+        'A waitlist status must be one of the following values: waiting, notified, expired or booked',
+    },
+    default: 'waiting',
+  },
+  offerToken: {
+    type: String,
+    select: false,
+  },
+  offerExpires: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+};
+
+const options = {};
+
+const waitlistSchema = mongoose.Schema(model, options);
+
+// A user can only wait once for the same departure
+waitlistSchema.index({ tour: 1, startDate: 1, user: 1 }, { unique: true });
+
+waitlistSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'user',
+    select: 'name email',
+  });
+  next();
+});
+
+/* Instance Method available on all Waitlist documents */
+/**
+ * Creates the token of the booking link sent to the user when a seat frees up
+ * @returns the unencrypted token
+ */
+waitlistSchema.methods.createOfferToken = function () {
+  const { token, hashedToken } = createToken();
+
+  this.offerToken = hashedToken;
+
+  const hours = process.env.WAITLIST_OFFER_HOURS * 1 || 24;
+  this.offerExpires = Date.now() + hours * 60 * 60 * 1000;
+
+  return token;
+};
+
+/* STATIC METHODS */
+/**
+ * Counts the seats of a departure held by offers that haven't expired yet, each offer holds one seat
+ * @param {*} tourId
+ * @param {Date} startDate
+ * @param {*} exceptUserId - optional, the user whose own offer isn't counted
+ * @returns
+ */
+waitlistSchema.statics.countHeldSeats = async function (
+  tourId,
+  startDate,
+  exceptUserId
+) {
+  const filter = {
+    tour: tourId,
+    startDate,
+    status: 'notified',
+    offerExpires: { $gt: Date.now() },
+  };
+  if (exceptUserId) filter.user = { $ne: exceptUserId };
+
+  return this.countDocuments(filter);
+};
+
+/**
+ * Seats left on each departure of a tour, once the seats held by offers that haven't expired yet are taken off
+ * @param {*} tour - with its maxGroupSize and startDates
+ * @param {*} exceptUserId - optional, the user whose own offer is still a free seat for them
+ * @returns Map of departure date (ISO string) to its seats left, 0 when it's full
+ */
+waitlistSchema.statics.getSeatsLeft = async function (tour, exceptUserId) {
+  // Aggregations aren't cast to the schema types
+  const match = {
+    tour: tour._id,
+    status: 'notified',
+    offerExpires: { $gt: new Date() },
+  };
+  if (exceptUserId) {
+    match.user = { $ne: mongoose.Types.ObjectId(`${exceptUserId}`) };
+  }
+
+  const held = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$startDate', count: { $sum: 1 } } },
+  ]);
+  const heldSeats = new Map(
+    held.map(({ _id: date, count }) => [date.toISOString(), count])
+  );
+
+  return new Map(
+    tour.startDates.map((departure) => {
+      const date = departure.date.toISOString();
+      const seatsLeft = departure.soldOut
+        ? 0
+        : tour.maxGroupSize -
+          departure.participants -
+          (heldSeats.get(date) || 0);
+
+      return [date, Math.max(seatsLeft, 0)];
+    })
+  );
+};
+
+/**
+ * Emails the next users in line for a departure, one for each free seat that isn't already offered
+ * If an email can't be sent, the user keeps their place and is tried again on the next free seat
+ * @param {*} tourId
+ * @param {Date} startDate
+ */
+waitlistSchema.statics.notifyNext = async function (tourId, startDate) {
+  const tour = await Tour.findById(tourId).select(
+    'name slug maxGroupSize startDates'
+  );
+  if (!tour) return;
+
+  const departure = tour.startDates.find(
+    (el) => el.date.getTime() === new Date(startDate).getTime()
+  );
+  if (!departure || departure.date < Date.now()) return;
+
+  const heldSeats = await this.countHeldSeats(tour._id, departure.date);
+  const freeSeats = tour.maxGroupSize - departure.participants - heldSeats;
+  if (freeSeats <= 0) return;
+
+  const entries = await this.find({
+    tour: tour._id,
+    startDate: departure.date,
+    status: 'waiting',
+  })
+    .sort('createdAt')
+    .limit(freeSeats);
+
+  await Promise.all(
+    entries.map(async (entry) => {
+      const offerToken = entry.createOfferToken();
+      const url = `${process.env.APP_URL}/waitlist/${offerToken}`;
+
+      try {
+        await new Email(entry.user, url).sendWaitlistOffer(
+          tour,
+          departure.date,
+          entry.offerExpires
+        );
+      } catch (err) {
+        return;
+      }
+
+      entry.status = 'notified';
+      await entry.save();
+    })
+  );
+};
+
+/**
+ * Offers the free seats of every upcoming departure of a tour, e.g. after its group size was raised
+ * @param {*} tour
+ */
+waitlistSchema.statics.notifyAvailable = async function (tour) {
+  await Promise.all(
+    tour
+      .getAvailableDepartures()
+      .map((departure) => this.notifyNext(tour._id, departure.date))
+  );
+};
+
+/**
+ * Ends the offers that expired without a booking, and offers their seats to the next users in line
+ * Each offer is claimed by its status update, so it's only handled once even with several server instances
+ * @returns number of expired offers
+ */
+waitlistSchema.statics.notifyExpired = async function () {
+  const entries = await this.find({
+    status: 'notified',
+    offerExpires: { $lte: Date.now() },
+    startDate: { $gt: Date.now() },
+  });
+
+  const departures = new Map();
+
+  const claimed = await Promise.all(
+    entries.map(async (entry) => {
+      const { nModified } = await this.updateOne(
+        { _id: entry._id, status: 'notified' },
+        { status: 'expired', $unset: { offerToken: 1 } }
+      );
+
+      if (nModified === 0) return false;
+
+      departures.set(`${entry.tour}:${entry.startDate.toISOString()}`, entry);
+      return true;
+    })
+  );
+
+  await Promise.all(
+    [...departures.values()].map((entry) =>
+      this.notifyNext(entry.tour, entry.startDate)
+    )
+  );
+
+  return claimed.filter((el) => el).length;
+};
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+
+module.exports = Waitlist;
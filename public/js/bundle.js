@@ -590,12 +590,14 @@ module.exports=require("./lib/axios");
 },{"./lib/axios":"HXpE"}],"odIX":[function(require,module,exports) {
 "use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.showAlert=exports.hideAlert=void 0;var e=function(){var e=document.querySelector(".alert");e&&e.parentElement.removeChild(e)};exports.hideAlert=e;var t=function(t,r){var o=arguments.length>2&&void 0!==arguments[2]?arguments[2]:7;e();var n='<div class="alert alert--'.concat(t,'">').concat(r,"</div>");document.querySelector("body").insertAdjacentHTML("afterbegin",n),window.setTimeout(e,1e3*o)};exports.showAlert=t;
 },{}],"mnjM":[function(require,module,exports) {
-"use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.logout=exports.login=void 0;var e=t(require("axios")),r=require("./alerts");function t(e){return e&&e.__esModule?e:{default:e}}function n(e,r,t,n,o,s,a){try{var u=e[s](a),i=u.value}catch(c){return void t(c)}u.done?r(i):Promise.resolve(i).then(n,o)}function o(e){return function(){var r=this,t=arguments;return new Promise(function(o,s){var a=e.apply(r,t);function u(e){n(a,o,s,u,i,"next",e)}function i(e){n(a,o,s,u,i,"throw",e)}u(void 0)})}}var s=function(){var t=o(regeneratorRuntime.mark(function t(n,o){return regeneratorRuntime.wrap(function(t){for(;;)switch(t.prev=t.next){case 0:return t.prev=0,t.next=3,(0,e.default)({method:"POST",url:"/api/v1/users/login",data:{email:n,password:o}});case 3:"success"===t.sent.data.status&&((0,r.showAlert)("success","Logged in successfully!"),window.setTimeout(function(){location.assign("/")},1500)),t.next=10;break;case 7:t.prev=7,t.t0=t.catch(0),(0,r.showAlert)("error",t.t0.response.data.message);case 10:case"end":return t.stop()}},t,null,[[0,7]])}));return function(e,r){return t.apply(this,arguments)}}();exports.login=s;var a=function(){var t=o(regeneratorRuntime.mark(function t(){return regeneratorRuntime.wrap(function(t){for(;;)switch(t.prev=t.next){case 0:return t.prev=0,t.next=3,(0,e.default)({method:"GET",url:"/api/v1/users/logout"});case 3:"success"===t.sent.data.status&&location.reload(!0),t.next=10;break;case 7:t.prev=7,t.t0=t.catch(0),(0,r.showAlert)("error","Error logging out! Try again.");case 10:case"end":return t.stop()}},t,null,[[0,7]])}));return function(){return t.apply(this,arguments)}}();exports.logout=a;
+"use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.logout=exports.loginTwoFactor=exports.loginOidc=exports.loginMagicLink=exports.sendMagicLink=exports.login=void 0;var e=r(require("axios")),t=require("./alerts");function r(e){return e&&e.__esModule?e:{default:e}}function n(e,t,r,n,a,s,o){try{var u=e[s](o),c=u.value}catch(i){return void r(i)}u.done?t(c):Promise.resolve(c).then(n,a)}function a(e){return function(){var t=this,r=arguments;return new Promise(function(a,s){var o=e.apply(t,r);function u(e){n(o,a,s,u,c,"next",e)}function c(e){n(o,a,s,u,c,"throw",e)}u(void 0)})}}var s=function(){var r=a(regeneratorRuntime.mark(function r(n,a){var s;return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,r.next=3,(0,e.default)({method:"POST",url:"/api/v1/users/login",data:{email:n,password:a}});case 3:if(!(s=r.sent).data.twoFactorRequired){r.next=6;break}return r.abrupt("return",s.data.twoFactorToken);case 6:"success"===s.data.status&&((0,t.showAlert)("success","Logged in successfully!"),window.setTimeout(function(){location.assign("/")},1500)),r.next=12;break;case 9:r.prev=9,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 12:case"end":return r.stop()}},r,null,[[0,9]])}));return function(e,t){return r.apply(this,arguments)}}();exports.login=s;var o=function(){var r=a(regeneratorRuntime.mark(function r(n){return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,r.next=3,(0,e.default)({method:"POST",url:"/api/v1/users/magic-link",data:{email:n}});case 3:"success"===r.sent.data.status&&(0,t.showAlert)("success","Login link sent! Please check your email."),r.next=10;break;case 7:r.prev=7,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 10:case"end":return r.stop()}},r,null,[[0,7]])}));return function(e){return r.apply(this,arguments)}}();exports.sendMagicLink=o;var u=function(){var r=a(regeneratorRuntime.mark(function r(n){var a;return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,r.next=3,(0,e.default)({method:"POST",url:"/api/v1/users/magic-link/".concat(n)});case 3:if(!(a=r.sent).data.twoFactorRequired){r.next=6;break}return r.abrupt("return",a.data.twoFactorToken);case 6:"success"===a.data.status&&((0,t.showAlert)("success","Logged in successfully!"),window.setTimeout(function(){location.assign("/")},1500)),r.next=12;break;case 9:r.prev=9,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 12:case"end":return r.stop()}},r,null,[[0,9]])}));return function(e){return r.apply(this,arguments)}}();exports.loginMagicLink=u;var c=function(){var r=a(regeneratorRuntime.mark(function r(n,a){var s;return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,r.next=3,(0,e.default)({method:"POST",url:"/api/v1/users/oidc/callback",data:{code:n,state:a}});case 3:if(!(s=r.sent).data.twoFactorRequired){r.next=6;break}return r.abrupt("return",s.data.twoFactorToken);case 6:"success"===s.data.status&&((0,t.showAlert)("success","Logged in successfully!"),window.setTimeout(function(){location.assign("/")},1500)),r.next=12;break;case 9:r.prev=9,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 12:case"end":return r.stop()}},r,null,[[0,9]])}));return function(e,t){return r.apply(this,arguments)}}();exports.loginOidc=c;var i=function(){var r=a(regeneratorRuntime.mark(function r(n,a){var s;return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,s=/^\d{6}$/.test(a)?{twoFactorToken:n,code:a}:{twoFactorToken:n,recoveryCode:a},r.next=4,(0,e.default)({method:"POST",url:"/api/v1/users/login/2fa",data:s});case 4:"success"===r.sent.data.status&&((0,t.showAlert)("success","Logged in successfully!"),window.setTimeout(function(){location.assign("/")},1500)),r.next=11;break;case 8:r.prev=8,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 11:case"end":return r.stop()}},r,null,[[0,8]])}));return function(e,t){return r.apply(this,arguments)}}();exports.loginTwoFactor=i;var l=function(){var r=a(regeneratorRuntime.mark(function r(){return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,r.next=3,(0,e.default)({method:"GET",url:"/api/v1/users/logout"});case 3:"success"===r.sent.data.status&&location.reload(!0),r.next=10;break;case 7:r.prev=7,r.t0=r.catch(0),(0,t.showAlert)("error","Error logging out! Try again.");case 10:case"end":return r.stop()}},r,null,[[0,7]])}));return function(){return r.apply(this,arguments)}}();exports.logout=l;
 },{"axios":"uj17","./alerts":"odIX"}],"FxPS":[function(require,module,exports) {
-"use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.updateSettings=void 0;var e=r(require("axios")),t=require("./alerts");function r(e){return e&&e.__esModule?e:{default:e}}function n(e,t,r,n,s,a,u){try{var o=e[a](u),i=o.value}catch(c){return void r(c)}o.done?t(i):Promise.resolve(i).then(n,s)}function s(e){return function(){var t=this,r=arguments;return new Promise(function(s,a){var u=e.apply(t,r);function o(e){n(u,s,a,o,i,"next",e)}function i(e){n(u,s,a,o,i,"throw",e)}o(void 0)})}}var a=function(){var r=s(regeneratorRuntime.mark(function r(n,s){var a;return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,a="password"===s?"/api/v1/users/updateMyPassword":"/api/v1/users/updateMe",r.next=4,(0,e.default)({method:"PATCH",url:a,data:n});case 4:"success"===r.sent.data.status&&((0,t.showAlert)("success","".concat(s.toUpperCase()," updated successfully")),window.setTimeout(function(){location.assign("/me")},1500)),r.next=11;break;case 8:r.prev=8,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 11:case"end":return r.stop()}},r,null,[[0,8]])}));return function(e,t){return r.apply(this,arguments)}}();exports.updateSettings=a;
+"use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.resendEmailVerification=exports.updateSettings=void 0;var e=r(require("axios")),t=require("./alerts");function r(e){return e&&e.__esModule?e:{default:e}}function n(e,t,r,n,s,a,u){try{var o=e[a](u),i=o.value}catch(c){return void r(c)}o.done?t(i):Promise.resolve(i).then(n,s)}function s(e){return function(){var t=this,r=arguments;return new Promise(function(s,a){var u=e.apply(t,r);function o(e){n(u,s,a,o,i,"next",e)}function i(e){n(u,s,a,o,i,"throw",e)}o(void 0)})}}var a=function(){var r=s(regeneratorRuntime.mark(function r(n,s){var a;return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,a="password"===s?"/api/v1/users/updateMyPassword":"/api/v1/users/updateMe",r.next=4,(0,e.default)({method:"PATCH",url:a,data:n});case 4:"success"===r.sent.data.status&&((0,t.showAlert)("success","".concat(s.toUpperCase()," updated successfully")),window.setTimeout(function(){location.assign("/me")},1500)),r.next=11;break;case 8:r.prev=8,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 11:case"end":return r.stop()}},r,null,[[0,8]])}));return function(e,t){return r.apply(this,arguments)}}();exports.updateSettings=a;var u=function(){var r=s(regeneratorRuntime.mark(function r(){return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,r.next=3,(0,e.default)({method:"POST",url:"/api/v1/users/verifyEmail"});case 3:"success"===r.sent.data.status&&(0,t.showAlert)("success","Verification link sent! Please check your email."),r.next=10;break;case 7:r.prev=7,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 10:case"end":return r.stop()}},r,null,[[0,7]])}));return function(){return r.apply(this,arguments)}}();exports.resendEmailVerification=u;
 },{"axios":"uj17","./alerts":"odIX"}],"Uj2q":[function(require,module,exports) {
-"use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.bookTour=void 0;var e=t(require("axios")),r=require("./alerts");function t(e){return e&&e.__esModule?e:{default:e}}function n(e,r,t,n,o,u,s){try{var i=e[u](s),a=i.value}catch(c){return void t(c)}i.done?r(a):Promise.resolve(a).then(n,o)}function o(e){return function(){var r=this,t=arguments;return new Promise(function(o,u){var s=e.apply(r,t);function i(e){n(s,o,u,i,a,"next",e)}function a(e){n(s,o,u,i,a,"throw",e)}i(void 0)})}}var u=Stripe("pk_test_51IYY6cEG71mD65KwMqGs7oEkQfPLEk1rnSfYuiw16qq0tgVYc49JAAneadbaItCySLUSdELOuO7pMARA9kQBXyDU00cVwntYce"),s=function(){var t=o(regeneratorRuntime.mark(function t(n){var o;return regeneratorRuntime.wrap(function(t){for(;;)switch(t.prev=t.next){case 0:return t.prev=0,t.next=3,(0,e.default)("/api/v1/bookings/checkout-session/".concat(n));case 3:return o=t.sent,t.next=6,u.redirectToCheckout({sessionId:o.data.session.id});case 6:t.next=11;break;case 8:t.prev=8,t.t0=t.catch(0),(0,r.showAlert)("error",t.t0);case 11:case"end":return t.stop()}},t,null,[[0,8]])}));return function(e){return t.apply(this,arguments)}}();exports.bookTour=s;
+"use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.bookTour=void 0;var e=r(require("axios")),t=require("./alerts");function r(e){return e&&e.__esModule?e:{default:e}}function n(e,t,r,n,o,s,a){try{var u=e[s](a),i=u.value}catch(c){return void r(c)}u.done?t(i):Promise.resolve(i).then(n,o)}function o(e){return function(){var t=this,r=arguments;return new Promise(function(o,s){var a=e.apply(t,r);function u(e){n(a,o,s,u,i,"next",e)}function i(e){n(a,o,s,u,i,"throw",e)}u(void 0)})}}var s=Stripe("pk_test_51IYY6cEG71mD65KwMqGs7oEkQfPLEk1rnSfYuiw16qq0tgVYc49JAAneadbaItCySLUSdELOuO7pMARA9kQBXyDU00cVwntYce"),a=function(){var r=o(regeneratorRuntime.mark(function r(n,o){var a,u,i,c=arguments;return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return a=c.length>2&&void 0!==c[2]?c[2]:1,u=c.length>3&&void 0!==c[3]?c[3]:"",r.prev=2,r.next=5,(0,e.default)({method:"GET",url:"/api/v1/bookings/checkout-session/".concat(n),params:{startDate:o,participants:a,coupon:u||void 0}});case 5:return i=r.sent,r.next=8,s.redirectToCheckout({sessionId:i.data.session.id});case 8:r.next=13;break;case 10:r.prev=10,r.t0=r.catch(2),(0,t.showAlert)("error",r.t0.response?r.t0.response.data.message:r.t0);case 13:case"end":return r.stop()}},r,null,[[2,10]])}));return function(e,t){return r.apply(this,arguments)}}();exports.bookTour=a;
+},{"axios":"uj17","./alerts":"odIX"}],"YOMe":[function(require,module,exports) {
+"use strict";Object.defineProperty(exports,"__esModule",{value:!0}),exports.joinWaitlist=void 0;var e=r(require("axios")),t=require("./alerts");function r(e){return e&&e.__esModule?e:{default:e}}function n(e,t,r,n,a,s,o){try{var u=e[s](o),i=u.value}catch(c){return void r(c)}u.done?t(i):Promise.resolve(i).then(n,a)}function a(e){return function(){var t=this,r=arguments;return new Promise(function(a,s){var o=e.apply(t,r);function u(e){n(o,a,s,u,i,"next",e)}function i(e){n(o,a,s,u,i,"throw",e)}u(void 0)})}}var s=function(){var r=a(regeneratorRuntime.mark(function r(n,a){return regeneratorRuntime.wrap(function(r){for(;;)switch(r.prev=r.next){case 0:return r.prev=0,r.next=3,(0,e.default)({method:"POST",url:"/api/v1/tours/".concat(n,"/waitlist"),data:{startDate:a}});case 3:"success"===r.sent.data.status&&(0,t.showAlert)("success","You joined the waitlist! We'll email you as soon as a seat opens up."),r.next=10;break;case 7:r.prev=7,r.t0=r.catch(0),(0,t.showAlert)("error",r.t0.response.data.message);case 10:case"end":return r.stop()}},r,null,[[0,7]])}));return function(e,t){return r.apply(this,arguments)}}();exports.joinWaitlist=s;
 },{"axios":"uj17","./alerts":"odIX"}],"Focm":[function(require,module,exports) {
-"use strict";require("core-js/modules/es6.array.copy-within.js"),require("core-js/modules/es6.array.fill.js"),require("core-js/modules/es6.array.filter.js"),require("core-js/modules/es6.array.find.js"),require("core-js/modules/es6.array.find-index.js"),require("core-js/modules/es7.array.flat-map.js"),require("core-js/modules/es6.array.from.js"),require("core-js/modules/es7.array.includes.js"),require("core-js/modules/es6.array.iterator.js"),require("core-js/modules/es6.array.map.js"),require("core-js/modules/es6.array.of.js"),require("core-js/modules/es6.array.slice.js"),require("core-js/modules/es6.array.sort.js"),require("core-js/modules/es6.array.species.js"),require("core-js/modules/es6.date.to-primitive.js"),require("core-js/modules/es6.function.has-instance.js"),require("core-js/modules/es6.function.name.js"),require("core-js/modules/es6.map.js"),require("core-js/modules/es6.math.acosh.js"),require("core-js/modules/es6.math.asinh.js"),require("core-js/modules/es6.math.atanh.js"),require("core-js/modules/es6.math.cbrt.js"),require("core-js/modules/es6.math.clz32.js"),require("core-js/modules/es6.math.cosh.js"),require("core-js/modules/es6.math.expm1.js"),require("core-js/modules/es6.math.fround.js"),require("core-js/modules/es6.math.hypot.js"),require("core-js/modules/es6.math.imul.js"),require("core-js/modules/es6.math.log1p.js"),require("core-js/modules/es6.math.log10.js"),require("core-js/modules/es6.math.log2.js"),require("core-js/modules/es6.math.sign.js"),require("core-js/modules/es6.math.sinh.js"),require("core-js/modules/es6.math.tanh.js"),require("core-js/modules/es6.math.trunc.js"),require("core-js/modules/es6.number.constructor.js"),require("core-js/modules/es6.number.epsilon.js"),require("core-js/modules/es6.number.is-finite.js"),require("core-js/modules/es6.number.is-integer.js"),require("core-js/modules/es6.number.is-nan.js"),require("core-js/modules/es6.number.is-safe-integer.js"),require("core-js/modules/es6.number.max-safe-integer.js"),require("core-js/modules/es6.number.min-safe-integer.js"),require("core-js/modules/es6.number.parse-float.js"),require("core-js/modules/es6.number.parse-int.js"),require("core-js/modules/es6.object.assign.js"),require("core-js/modules/es7.object.define-getter.js"),require("core-js/modules/es7.object.define-setter.js"),require("core-js/modules/es7.object.entries.js"),require("core-js/modules/es6.object.freeze.js"),require("core-js/modules/es6.object.get-own-property-descriptor.js"),require("core-js/modules/es7.object.get-own-property-descriptors.js"),require("core-js/modules/es6.object.get-own-property-names.js"),require("core-js/modules/es6.object.get-prototype-of.js"),require("core-js/modules/es7.object.lookup-getter.js"),require("core-js/modules/es7.object.lookup-setter.js"),require("core-js/modules/es6.object.prevent-extensions.js"),require("core-js/modules/es6.object.to-string.js"),require("core-js/modules/es6.object.is.js"),require("core-js/modules/es6.object.is-frozen.js"),require("core-js/modules/es6.object.is-sealed.js"),require("core-js/modules/es6.object.is-extensible.js"),require("core-js/modules/es6.object.keys.js"),require("core-js/modules/es6.object.seal.js"),require("core-js/modules/es7.object.values.js"),require("core-js/modules/es6.promise.js"),require("core-js/modules/es7.promise.finally.js"),require("core-js/modules/es6.reflect.apply.js"),require("core-js/modules/es6.reflect.construct.js"),require("core-js/modules/es6.reflect.define-property.js"),require("core-js/modules/es6.reflect.delete-property.js"),require("core-js/modules/es6.reflect.get.js"),require("core-js/modules/es6.reflect.get-own-property-descriptor.js"),require("core-js/modules/es6.reflect.get-prototype-of.js"),require("core-js/modules/es6.reflect.has.js"),require("core-js/modules/es6.reflect.is-extensible.js"),require("core-js/modules/es6.reflect.own-keys.js"),require("core-js/modules/es6.reflect.prevent-extensions.js"),require("core-js/modules/es6.reflect.set.js"),require("core-js/modules/es6.reflect.set-prototype-of.js"),require("core-js/modules/es6.regexp.constructor.js"),require("core-js/modules/es6.regexp.flags.js"),require("core-js/modules/es6.regexp.match.js"),require("core-js/modules/es6.regexp.replace.js"),require("core-js/modules/es6.regexp.split.js"),require("core-js/modules/es6.regexp.search.js"),require("core-js/modules/es6.regexp.to-string.js"),require("core-js/modules/es6.set.js"),require("core-js/modules/es6.symbol.js"),require("core-js/modules/es7.symbol.async-iterator.js"),require("core-js/modules/es6.string.anchor.js"),require("core-js/modules/es6.string.big.js"),require("core-js/modules/es6.string.blink.js"),require("core-js/modules/es6.string.bold.js"),require("core-js/modules/es6.string.code-point-at.js"),require("core-js/modules/es6.string.ends-with.js"),require("core-js/modules/es6.string.fixed.js"),require("core-js/modules/es6.string.fontcolor.js"),require("core-js/modules/es6.string.fontsize.js"),require("core-js/modules/es6.string.from-code-point.js"),require("core-js/modules/es6.string.includes.js"),require("core-js/modules/es6.string.italics.js"),require("core-js/modules/es6.string.iterator.js"),require("core-js/modules/es6.string.link.js"),require("core-js/modules/es7.string.pad-start.js"),require("core-js/modules/es7.string.pad-end.js"),require("core-js/modules/es6.string.raw.js"),require("core-js/modules/es6.string.repeat.js"),require("core-js/modules/es6.string.small.js"),require("core-js/modules/es6.string.starts-with.js"),require("core-js/modules/es6.string.strike.js"),require("core-js/modules/es6.string.sub.js"),require("core-js/modules/es6.string.sup.js"),require("core-js/modules/es7.string.trim-left.js"),require("core-js/modules/es7.string.trim-right.js"),require("core-js/modules/es6.typed.array-buffer.js"),require("core-js/modules/es6.typed.int8-array.js"),require("core-js/modules/es6.typed.uint8-array.js"),require("core-js/modules/es6.typed.uint8-clamped-array.js"),require("core-js/modules/es6.typed.int16-array.js"),require("core-js/modules/es6.typed.uint16-array.js"),require("core-js/modules/es6.typed.int32-array.js"),require("core-js/modules/es6.typed.uint32-array.js"),require("core-js/modules/es6.typed.float32-array.js"),require("core-js/modules/es6.typed.float64-array.js"),require("core-js/modules/es6.weak-map.js"),require("core-js/modules/es6.weak-set.js"),require("core-js/modules/web.timers.js"),require("core-js/modules/web.immediate.js"),require("core-js/modules/web.dom.iterable.js"),require("regenerator-runtime/runtime.js");var e=require("./mapbox"),s=require("./login"),r=require("./updateSettings"),o=require("./stripe"),u=require("./alerts");function t(e,s,r,o,u,t,i){try{var j=e[t](i),c=j.value}catch(d){return void r(d)}j.done?s(c):Promise.resolve(c).then(o,u)}function i(e){return function(){var s=this,r=arguments;return new Promise(function(o,u){var i=e.apply(s,r);function j(e){t(i,o,u,j,c,"next",e)}function c(e){t(i,o,u,j,c,"throw",e)}j(void 0)})}}var j=document.getElementById("map"),c=document.querySelector(".form--login"),d=document.querySelector(".nav__el--logout"),m=document.querySelector(".form-user-data"),l=document.querySelector(".form-user-password"),n=document.getElementById("book-tour");if(j){var a=JSON.parse(j.dataset.locations);(0,e.displayMap)(a)}c&&c.addEventListener("submit",function(e){e.preventDefault();var r=document.getElementById("email").value,o=document.getElementById("password").value;(0,s.login)(r,o)}),d&&d.addEventListener("click",s.logout),m&&m.addEventListener("submit",function(e){e.preventDefault();var s=document.getElementById("name").value,o=document.getElementById("email").value,u=document.getElementById("photo").files[0],t=new FormData;t.append("name",s),t.append("email",o),t.append("photo",u),(0,r.updateSettings)(t,"data")}),l&&l.addEventListener("submit",function(){var e=i(regeneratorRuntime.mark(function e(s){var o,u,t;return regeneratorRuntime.wrap(function(e){for(;;)switch(e.prev=e.next){case 0:return s.preventDefault(),document.querySelector(".btn--save-password").textContent="Updating...",o=document.getElementById("password-current").value,u=document.getElementById("password").value,t=document.getElementById("password-confirm").value,e.next=7,(0,r.updateSettings)({passwordCurrent:o,password:u,passwordConfirm:t},"password");case 7:document.getElementById("password-current").value="",document.getElementById("password").value="",document.getElementById("password-confirm").value="",document.querySelector(".btn--save-password").textContent="Save password";case 11:case"end":return e.stop()}},e)}));return function(s){return e.apply(this,arguments)}}()),n&&n.addEventListener("click",function(e){e.target.textContent="Processing...";var s=e.target.dataset.tourId;(0,o.bookTour)(s)});var q=document.querySelector("body").dataset.alert;q&&(0,u.showAlert)("success",q,10);
-},{"core-js/modules/es6.array.copy-within.js":"c9DC","core-js/modules/es6.array.fill.js":"ZBH0","core-js/modules/es6.array.filter.js":"PXKF","core-js/modules/es6.array.find.js":"wTIB","core-js/modules/es6.array.find-index.js":"ksrS","core-js/modules/es7.array.flat-map.js":"zKV8","core-js/modules/es6.array.from.js":"WZRw","core-js/modules/es7.array.includes.js":"gMo0","core-js/modules/es6.array.iterator.js":"ZCkT","core-js/modules/es6.array.map.js":"O0lf","core-js/modules/es6.array.of.js":"URTo","core-js/modules/es6.array.slice.js":"Ui7t","core-js/modules/es6.array.sort.js":"TqUy","core-js/modules/es6.array.species.js":"Adki","core-js/modules/es6.date.to-primitive.js":"nktC","core-js/modules/es6.function.has-instance.js":"owRX","core-js/modules/es6.function.name.js":"z3jV","core-js/modules/es6.map.js":"ksBa","core-js/modules/es6.math.acosh.js":"o78V","core-js/modules/es6.math.asinh.js":"xkGF","core-js/modules/es6.math.atanh.js":"Pmrp","core-js/modules/es6.math.cbrt.js":"Giui","core-js/modules/es6.math.clz32.js":"HsTu","core-js/modules/es6.math.cosh.js":"xEUq","core-js/modules/es6.math.expm1.js":"aBEU","core-js/modules/es6.math.fround.js":"IjCR","core-js/modules/es6.math.hypot.js":"HXfT","core-js/modules/es6.math.imul.js":"m2OX","core-js/modules/es6.math.log1p.js":"ymfv","core-js/modules/es6.math.log10.js":"E567","core-js/modules/es6.math.log2.js":"hUIM","core-js/modules/es6.math.sign.js":"d1Y4","core-js/modules/es6.math.sinh.js":"dhHM","core-js/modules/es6.math.tanh.js":"cxv8","core-js/modules/es6.math.trunc.js":"xO7u","core-js/modules/es6.number.constructor.js":"F74v","core-js/modules/es6.number.epsilon.js":"oSwj","core-js/modules/es6.number.is-finite.js":"Iwqp","core-js/modules/es6.number.is-integer.js":"XPnJ","core-js/modules/es6.number.is-nan.js":"PMgb","core-js/modules/es6.number.is-safe-integer.js":"EvBV","core-js/modules/es6.number.max-safe-integer.js":"fOC8","core-js/modules/es6.number.min-safe-integer.js":"yvVo","core-js/modules/es6.number.parse-float.js":"a09l","core-js/modules/es6.number.parse-int.js":"fCj1","core-js/modules/es6.object.assign.js":"av62","core-js/modules/es7.object.define-getter.js":"y7i0","core-js/modules/es7.object.define-setter.js":"vFGQ","core-js/modules/es7.object.entries.js":"jLAB","core-js/modules/es6.object.freeze.js":"bkZb","core-js/modules/es6.object.get-own-property-descriptor.js":"xCvV","core-js/modules/es7.object.get-own-property-descriptors.js":"ovdg","core-js/modules/es6.object.get-own-property-names.js":"mVnl","core-js/modules/es6.object.get-prototype-of.js":"Dkc5","core-js/modules/es7.object.lookup-getter.js":"urEd","core-js/modules/es7.object.lookup-setter.js":"qicQ","core-js/modules/es6.object.prevent-extensions.js":"OeTo","core-js/modules/es6.object.to-string.js":"zmtK","core-js/modules/es6.object.is.js":"OI80","core-js/modules/es6.object.is-frozen.js":"Lm2M","core-js/modules/es6.object.is-sealed.js":"Lrni","core-js/modules/es6.object.is-extensible.js":"ypI7","core-js/modules/es6.object.keys.js":"RpZ9","core-js/modules/es6.object.seal.js":"LEG2","core-js/modules/es7.object.values.js":"exYH","core-js/modules/es6.promise.js":"MWl4","core-js/modules/es7.promise.finally.js":"q6pY","core-js/modules/es6.reflect.apply.js":"sL26","core-js/modules/es6.reflect.construct.js":"n0sj","core-js/modules/es6.reflect.define-property.js":"XoPA","core-js/modules/es6.reflect.delete-property.js":"YgqD","core-js/modules/es6.reflect.get.js":"Jr0s","core-js/modules/es6.reflect.get-own-property-descriptor.js":"rsHl","core-js/modules/es6.reflect.get-prototype-of.js":"mTTK","core-js/modules/es6.reflect.has.js":"VxVc","core-js/modules/es6.reflect.is-extensible.js":"lQ3X","core-js/modules/es6.reflect.own-keys.js":"vOF6","core-js/modules/es6.reflect.prevent-extensions.js":"hWQ0","core-js/modules/es6.reflect.set.js":"AiN1","core-js/modules/es6.reflect.set-prototype-of.js":"EPEE","core-js/modules/es6.regexp.constructor.js":"lK2M","core-js/modules/es6.regexp.flags.js":"S072","core-js/modules/es6.regexp.match.js":"Iomp","core-js/modules/es6.regexp.replace.js":"weWA","core-js/modules/es6.regexp.split.js":"d289","core-js/modules/es6.regexp.search.js":"EA9T","core-js/modules/es6.regexp.to-string.js":"jkaB","core-js/modules/es6.set.js":"jPMF","core-js/modules/es6.symbol.js":"rGq9","core-js/modules/es7.symbol.async-iterator.js":"enid","core-js/modules/es6.string.anchor.js":"eRhq","core-js/modules/es6.string.big.js":"HLSM","core-js/modules/es6.string.blink.js":"RtH9","core-js/modules/es6.string.bold.js":"efe7","core-js/modules/es6.string.code-point-at.js":"gGid","core-js/modules/es6.string.ends-with.js":"PmIB","core-js/modules/es6.string.fixed.js":"v3Ez","core-js/modules/es6.string.fontcolor.js":"RECM","core-js/modules/es6.string.fontsize.js":"l7OI","core-js/modules/es6.string.from-code-point.js":"DdG0","core-js/modules/es6.string.includes.js":"qgIv","core-js/modules/es6.string.italics.js":"uJlj","core-js/modules/es6.string.iterator.js":"WN4F","core-js/modules/es6.string.link.js":"vYww","core-js/modules/es7.string.pad-start.js":"hmYY","core-js/modules/es7.string.pad-end.js":"RIKd","core-js/modules/es6.string.raw.js":"KDcE","core-js/modules/es6.string.repeat.js":"ZAbm","core-js/modules/es6.string.small.js":"AiXZ","core-js/modules/es6.string.starts-with.js":"U3MC","core-js/modules/es6.string.strike.js":"MhVl","core-js/modules/es6.string.sub.js":"DFMN","core-js/modules/es6.string.sup.js":"X3LC","core-js/modules/es7.string.trim-left.js":"hNft","core-js/modules/es7.string.trim-right.js":"uLyC","core-js/modules/es6.typed.array-buffer.js":"VqD6","core-js/modules/es6.typed.int8-array.js":"FrGE","core-js/modules/es6.typed.uint8-array.js":"jLcZ","core-js/modules/es6.typed.uint8-clamped-array.js":"dFjM","core-js/modules/es6.typed.int16-array.js":"XAXm","core-js/modules/es6.typed.uint16-array.js":"Vod2","core-js/modules/es6.typed.int32-array.js":"Mnlj","core-js/modules/es6.typed.uint32-array.js":"JJCv","core-js/modules/es6.typed.float32-array.js":"Asas","core-js/modules/es6.typed.float64-array.js":"ZKGF","core-js/modules/es6.weak-map.js":"Y0Wb","core-js/modules/es6.weak-set.js":"oeIc","core-js/modules/web.timers.js":"pUQh","core-js/modules/web.immediate.js":"uORE","core-js/modules/web.dom.iterable.js":"kCWy","regenerator-runtime/runtime.js":"VuXv","./mapbox":"g63L","./login":"mnjM","./updateSettings":"FxPS","./stripe":"Uj2q","./alerts":"odIX"}]},{},["Focm"], null)
+"use strict";require("core-js/modules/es6.array.copy-within.js"),require("core-js/modules/es6.array.fill.js"),require("core-js/modules/es6.array.filter.js"),require("core-js/modules/es6.array.find.js"),require("core-js/modules/es6.array.find-index.js"),require("core-js/modules/es7.array.flat-map.js"),require("core-js/modules/es6.array.from.js"),require("core-js/modules/es7.array.includes.js"),require("core-js/modules/es6.array.iterator.js"),require("core-js/modules/es6.array.map.js"),require("core-js/modules/es6.array.of.js"),require("core-js/modules/es6.array.slice.js"),require("core-js/modules/es6.array.sort.js"),require("core-js/modules/es6.array.species.js"),require("core-js/modules/es6.date.to-primitive.js"),require("core-js/modules/es6.function.has-instance.js"),require("core-js/modules/es6.function.name.js"),require("core-js/modules/es6.map.js"),require("core-js/modules/es6.math.acosh.js"),require("core-js/modules/es6.math.asinh.js"),require("core-js/modules/es6.math.atanh.js"),require("core-js/modules/es6.math.cbrt.js"),require("core-js/modules/es6.math.clz32.js"),require("core-js/modules/es6.math.cosh.js"),require("core-js/modules/es6.math.expm1.js"),require("core-js/modules/es6.math.fround.js"),require("core-js/modules/es6.math.hypot.js"),require("core-js/modules/es6.math.imul.js"),require("core-js/modules/es6.math.log1p.js"),require("core-js/modules/es6.math.log10.js"),require("core-js/modules/es6.math.log2.js"),require("core-js/modules/es6.math.sign.js"),require("core-js/modules/es6.math.sinh.js"),require("core-js/modules/es6.math.tanh.js"),require("core-js/modules/es6.math.trunc.js"),require("core-js/modules/es6.number.constructor.js"),require("core-js/modules/es6.number.epsilon.js"),require("core-js/modules/es6.number.is-finite.js"),require("core-js/modules/es6.number.is-integer.js"),require("core-js/modules/es6.number.is-nan.js"),require("core-js/modules/es6.number.is-safe-integer.js"),require("core-js/modules/es6.number.max-safe-integer.js"),require("core-js/modules/es6.number.min-safe-integer.js"),require("core-js/modules/es6.number.parse-float.js"),require("core-js/modules/es6.number.parse-int.js"),require("core-js/modules/es6.object.assign.js"),require("core-js/modules/es7.object.define-getter.js"),require("core-js/modules/es7.object.define-setter.js"),require("core-js/modules/es7.object.entries.js"),require("core-js/modules/es6.object.freeze.js"),require("core-js/modules/es6.object.get-own-property-descriptor.js"),require("core-js/modules/es7.object.get-own-property-descriptors.js"),require("core-js/modules/es6.object.get-own-property-names.js"),require("core-js/modules/es6.object.get-prototype-of.js"),require("core-js/modules/es7.object.lookup-getter.js"),require("core-js/modules/es7.object.lookup-setter.js"),require("core-js/modules/es6.object.prevent-extensions.js"),require("core-js/modules/es6.object.to-string.js"),require("core-js/modules/es6.object.is.js"),require("core-js/modules/es6.object.is-frozen.js"),require("core-js/modules/es6.object.is-sealed.js"),require("core-js/modules/es6.object.is-extensible.js"),require("core-js/modules/es6.object.keys.js"),require("core-js/modules/es6.object.seal.js"),require("core-js/modules/es7.object.values.js"),require("core-js/modules/es6.promise.js"),require("core-js/modules/es7.promise.finally.js"),require("core-js/modules/es6.reflect.apply.js"),require("core-js/modules/es6.reflect.construct.js"),require("core-js/modules/es6.reflect.define-property.js"),require("core-js/modules/es6.reflect.delete-property.js"),require("core-js/modules/es6.reflect.get.js"),require("core-js/modules/es6.reflect.get-own-property-descriptor.js"),require("core-js/modules/es6.reflect.get-prototype-of.js"),require("core-js/modules/es6.reflect.has.js"),require("core-js/modules/es6.reflect.is-extensible.js"),require("core-js/modules/es6.reflect.own-keys.js"),require("core-js/modules/es6.reflect.prevent-extensions.js"),require("core-js/modules/es6.reflect.set.js"),require("core-js/modules/es6.reflect.set-prototype-of.js"),require("core-js/modules/es6.regexp.constructor.js"),require("core-js/modules/es6.regexp.flags.js"),require("core-js/modules/es6.regexp.match.js"),require("core-js/modules/es6.regexp.replace.js"),require("core-js/modules/es6.regexp.split.js"),require("core-js/modules/es6.regexp.search.js"),require("core-js/modules/es6.regexp.to-string.js"),require("core-js/modules/es6.set.js"),require("core-js/modules/es6.symbol.js"),require("core-js/modules/es7.symbol.async-iterator.js"),require("core-js/modules/es6.string.anchor.js"),require("core-js/modules/es6.string.big.js"),require("core-js/modules/es6.string.blink.js"),require("core-js/modules/es6.string.bold.js"),require("core-js/modules/es6.string.code-point-at.js"),require("core-js/modules/es6.string.ends-with.js"),require("core-js/modules/es6.string.fixed.js"),require("core-js/modules/es6.string.fontcolor.js"),require("core-js/modules/es6.string.fontsize.js"),require("core-js/modules/es6.string.from-code-point.js"),require("core-js/modules/es6.string.includes.js"),require("core-js/modules/es6.string.italics.js"),require("core-js/modules/es6.string.iterator.js"),require("core-js/modules/es6.string.link.js"),require("core-js/modules/es7.string.pad-start.js"),require("core-js/modules/es7.string.pad-end.js"),require("core-js/modules/es6.string.raw.js"),require("core-js/modules/es6.string.repeat.js"),require("core-js/modules/es6.string.small.js"),require("core-js/modules/es6.string.starts-with.js"),require("core-js/modules/es6.string.strike.js"),require("core-js/modules/es6.string.sub.js"),require("core-js/modules/es6.string.sup.js"),require("core-js/modules/es7.string.trim-left.js"),require("core-js/modules/es7.string.trim-right.js"),require("core-js/modules/es6.typed.array-buffer.js"),require("core-js/modules/es6.typed.int8-array.js"),require("core-js/modules/es6.typed.uint8-array.js"),require("core-js/modules/es6.typed.uint8-clamped-array.js"),require("core-js/modules/es6.typed.int16-array.js"),require("core-js/modules/es6.typed.uint16-array.js"),require("core-js/modules/es6.typed.int32-array.js"),require("core-js/modules/es6.typed.uint32-array.js"),require("core-js/modules/es6.typed.float32-array.js"),require("core-js/modules/es6.typed.float64-array.js"),require("core-js/modules/es6.weak-map.js"),require("core-js/modules/es6.weak-set.js"),require("core-js/modules/web.timers.js"),require("core-js/modules/web.immediate.js"),require("core-js/modules/web.dom.iterable.js"),require("regenerator-runtime/runtime.js");var e=require("./mapbox"),r=require("./login"),s=require("./updateSettings"),t=require("./stripe"),o=require("./waitlist"),u=require("./alerts");function i(e,r,s,t,o,u,i){try{var n=e[u](i),c=n.value}catch(a){return void s(a)}n.done?r(c):Promise.resolve(c).then(t,o)}function n(e){return function(){var r=this,s=arguments;return new Promise(function(t,o){var u=e.apply(r,s);function n(e){i(u,t,o,n,c,"next",e)}function c(e){i(u,t,o,n,c,"throw",e)}n(void 0)})}}var c=document.getElementById("map"),a=document.querySelector(".form--login"),d=document.querySelector(".form--2fa"),j=document.querySelector(".login-form"),l=document.getElementById("magic-link"),m=document.querySelector(".nav__el--logout"),q=document.querySelector(".form-user-data"),p=document.querySelector(".form-user-password"),g=document.getElementById("resend-verification"),f=document.getElementById("book-tour"),y=document.getElementById("start-date");if(c){var v=JSON.parse(c.dataset.locations);(0,e.displayMap)(v)}var b=function(e){e&&d&&(d.dataset.token=e,a.hidden=!0,d.hidden=!1,document.getElementById("two-factor-code").focus())};if(a&&a.addEventListener("submit",function(){var e=n(regeneratorRuntime.mark(function e(s){var t,o;return regeneratorRuntime.wrap(function(e){for(;;)switch(e.prev=e.next){case 0:return s.preventDefault(),t=document.getElementById("email").value,o=document.getElementById("password").value,e.t0=b,e.next=6,(0,r.login)(t,o);case 6:e.t1=e.sent,(0,e.t0)(e.t1);case 8:case"end":return e.stop()}},e)}));return function(r){return e.apply(this,arguments)}}()),l&&l.addEventListener("click",function(e){e.preventDefault();var s=document.getElementById("email");s.reportValidity()&&(0,r.sendMagicLink)(s.value)}),j&&j.dataset.magicLinkToken&&(0,r.loginMagicLink)(j.dataset.magicLinkToken).then(b),j&&j.dataset.oidcCode){var h=j.dataset,w=h.oidcCode,E=h.oidcState;(0,r.loginOidc)(w,E).then(b)}d&&d.addEventListener("submit",function(e){e.preventDefault();var s=document.getElementById("two-factor-code").value.trim();(0,r.loginTwoFactor)(d.dataset.token,s)}),m&&m.addEventListener("click",r.logout),q&&q.addEventListener("submit",function(e){e.preventDefault();var r=document.getElementById("name").value,t=document.getElementById("email").value,o=document.getElementById("photo").files[0],u=new FormData;u.append("name",r),u.append("email",t),u.append("photo",o),(0,s.updateSettings)(u,"data")}),g&&g.addEventListener("click",function(e){e.preventDefault(),(0,s.resendEmailVerification)()}),p&&p.addEventListener("submit",function(){var e=n(regeneratorRuntime.mark(function e(r){var t,o,u;return regeneratorRuntime.wrap(function(e){for(;;)switch(e.prev=e.next){case 0:return r.preventDefault(),document.querySelector(".btn--save-password").textContent="Updating...",t=document.getElementById("password-current").value,o=document.getElementById("password").value,u=document.getElementById("password-confirm").value,e.next=7,(0,s.updateSettings)({passwordCurrent:t,password:o,passwordConfirm:u},"password");case 7:document.getElementById("password-current").value="",document.getElementById("password").value="",document.getElementById("password-confirm").value="",document.querySelector(".btn--save-password").textContent="Save password";case 11:case"end":return e.stop()}},e)}));return function(r){return e.apply(this,arguments)}}()),f&&f.addEventListener("click",function(){var e=n(regeneratorRuntime.mark(function e(r){var s,u,i,n,c;return regeneratorRuntime.wrap(function(e){for(;;)switch(e.prev=e.next){case 0:if(s=r.target.dataset.tourId,u=y.selectedOptions[0],i=u.value,"true"!==u.dataset.soldOut){e.next=9;break}return r.target.textContent="Joining...",e.next=7,(0,o.joinWaitlist)(s,i);case 7:return r.target.textContent="Join the waitlist",e.abrupt("return");case 9:r.target.textContent="Processing...",n=document.getElementById("participants").value,c=document.getElementById("coupon").value.trim(),(0,t.bookTour)(s,i,n,c);case 13:case"end":return e.stop()}},e)}));return function(r){return e.apply(this,arguments)}}()),y&&y.addEventListener("change",function(e){var r=e.target.selectedOptions[0].dataset,s=r.seatsLeft,t=r.soldOut,o=document.getElementById("participants");f.textContent="true"===t?"Join the waitlist":"Book tour now!","true"!==t&&(o.max=s,1*o.value>1*s&&(o.value=s))});var x=document.querySelector("body").dataset.alert;x&&(0,u.showAlert)("success",x,10);
+},{"core-js/modules/es6.array.copy-within.js":"c9DC","core-js/modules/es6.array.fill.js":"ZBH0","core-js/modules/es6.array.filter.js":"PXKF","core-js/modules/es6.array.find.js":"wTIB","core-js/modules/es6.array.find-index.js":"ksrS","core-js/modules/es7.array.flat-map.js":"zKV8","core-js/modules/es6.array.from.js":"WZRw","core-js/modules/es7.array.includes.js":"gMo0","core-js/modules/es6.array.iterator.js":"ZCkT","core-js/modules/es6.array.map.js":"O0lf","core-js/modules/es6.array.of.js":"URTo","core-js/modules/es6.array.slice.js":"Ui7t","core-js/modules/es6.array.sort.js":"TqUy","core-js/modules/es6.array.species.js":"Adki","core-js/modules/es6.date.to-primitive.js":"nktC","core-js/modules/es6.function.has-instance.js":"owRX","core-js/modules/es6.function.name.js":"z3jV","core-js/modules/es6.map.js":"ksBa","core-js/modules/es6.math.acosh.js":"o78V","core-js/modules/es6.math.asinh.js":"xkGF","core-js/modules/es6.math.atanh.js":"Pmrp","core-js/modules/es6.math.cbrt.js":"Giui","core-js/modules/es6.math.clz32.js":"HsTu","core-js/modules/es6.math.cosh.js":"xEUq","core-js/modules/es6.math.expm1.js":"aBEU","core-js/modules/es6.math.fround.js":"IjCR","core-js/modules/es6.math.hypot.js":"HXfT","core-js/modules/es6.math.imul.js":"m2OX","core-js/modules/es6.math.log1p.js":"ymfv","core-js/modules/es6.math.log10.js":"E567","core-js/modules/es6.math.log2.js":"hUIM","core-js/modules/es6.math.sign.js":"d1Y4","core-js/modules/es6.math.sinh.js":"dhHM","core-js/modules/es6.math.tanh.js":"cxv8","core-js/modules/es6.math.trunc.js":"xO7u","core-js/modules/es6.number.constructor.js":"F74v","core-js/modules/es6.number.epsilon.js":"oSwj","core-js/modules/es6.number.is-finite.js":"Iwqp","core-js/modules/es6.number.is-integer.js":"XPnJ","core-js/modules/es6.number.is-nan.js":"PMgb","core-js/modules/es6.number.is-safe-integer.js":"EvBV","core-js/modules/es6.number.max-safe-integer.js":"fOC8","core-js/modules/es6.number.min-safe-integer.js":"yvVo","core-js/modules/es6.number.parse-float.js":"a09l","core-js/modules/es6.number.parse-int.js":"fCj1","core-js/modules/es6.object.assign.js":"av62","core-js/modules/es7.object.define-getter.js":"y7i0","core-js/modules/es7.object.define-setter.js":"vFGQ","core-js/modules/es7.object.entries.js":"jLAB","core-js/modules/es6.object.freeze.js":"bkZb","core-js/modules/es6.object.get-own-property-descriptor.js":"xCvV","core-js/modules/es7.object.get-own-property-descriptors.js":"ovdg","core-js/modules/es6.object.get-own-property-names.js":"mVnl","core-js/modules/es6.object.get-prototype-of.js":"Dkc5","core-js/modules/es7.object.lookup-getter.js":"urEd","core-js/modules/es7.object.lookup-setter.js":"qicQ","core-js/modules/es6.object.prevent-extensions.js":"OeTo","core-js/modules/es6.object.to-string.js":"zmtK","core-js/modules/es6.object.is.js":"OI80","core-js/modules/es6.object.is-frozen.js":"Lm2M","core-js/modules/es6.object.is-sealed.js":"Lrni","core-js/modules/es6.object.is-extensible.js":"ypI7","core-js/modules/es6.object.keys.js":"RpZ9","core-js/modules/es6.object.seal.js":"LEG2","core-js/modules/es7.object.values.js":"exYH","core-js/modules/es6.promise.js":"MWl4","core-js/modules/es7.promise.finally.js":"q6pY","core-js/modules/es6.reflect.apply.js":"sL26","core-js/modules/es6.reflect.construct.js":"n0sj","core-js/modules/es6.reflect.define-property.js":"XoPA","core-js/modules/es6.reflect.delete-property.js":"YgqD","core-js/modules/es6.reflect.get.js":"Jr0s","core-js/modules/es6.reflect.get-own-property-descriptor.js":"rsHl","core-js/modules/es6.reflect.get-prototype-of.js":"mTTK","core-js/modules/es6.reflect.has.js":"VxVc","core-js/modules/es6.reflect.is-extensible.js":"lQ3X","core-js/modules/es6.reflect.own-keys.js":"vOF6","core-js/modules/es6.reflect.prevent-extensions.js":"hWQ0","core-js/modules/es6.reflect.set.js":"AiN1","core-js/modules/es6.reflect.set-prototype-of.js":"EPEE","core-js/modules/es6.regexp.constructor.js":"lK2M","core-js/modules/es6.regexp.flags.js":"S072","core-js/modules/es6.regexp.match.js":"Iomp","core-js/modules/es6.regexp.replace.js":"weWA","core-js/modules/es6.regexp.split.js":"d289","core-js/modules/es6.regexp.search.js":"EA9T","core-js/modules/es6.regexp.to-string.js":"jkaB","core-js/modules/es6.set.js":"jPMF","core-js/modules/es6.symbol.js":"rGq9","core-js/modules/es7.symbol.async-iterator.js":"enid","core-js/modules/es6.string.anchor.js":"eRhq","core-js/modules/es6.string.big.js":"HLSM","core-js/modules/es6.string.blink.js":"RtH9","core-js/modules/es6.string.bold.js":"efe7","core-js/modules/es6.string.code-point-at.js":"gGid","core-js/modules/es6.string.ends-with.js":"PmIB","core-js/modules/es6.string.fixed.js":"v3Ez","core-js/modules/es6.string.fontcolor.js":"RECM","core-js/modules/es6.string.fontsize.js":"l7OI","core-js/modules/es6.string.from-code-point.js":"DdG0","core-js/modules/es6.string.includes.js":"qgIv","core-js/modules/es6.string.italics.js":"uJlj","core-js/modules/es6.string.iterator.js":"WN4F","core-js/modules/es6.string.link.js":"vYww","core-js/modules/es7.string.pad-start.js":"hmYY","core-js/modules/es7.string.pad-end.js":"RIKd","core-js/modules/es6.string.raw.js":"KDcE","core-js/modules/es6.string.repeat.js":"ZAbm","core-js/modules/es6.string.small.js":"AiXZ","core-js/modules/es6.string.starts-with.js":"U3MC","core-js/modules/es6.string.strike.js":"MhVl","core-js/modules/es6.string.sub.js":"DFMN","core-js/modules/es6.string.sup.js":"X3LC","core-js/modules/es7.string.trim-left.js":"hNft","core-js/modules/es7.string.trim-right.js":"uLyC","core-js/modules/es6.typed.array-buffer.js":"VqD6","core-js/modules/es6.typed.int8-array.js":"FrGE","core-js/modules/es6.typed.uint8-array.js":"jLcZ","core-js/modules/es6.typed.uint8-clamped-array.js":"dFjM","core-js/modules/es6.typed.int16-array.js":"XAXm","core-js/modules/es6.typed.uint16-array.js":"Vod2","core-js/modules/es6.typed.int32-array.js":"Mnlj","core-js/modules/es6.typed.uint32-array.js":"JJCv","core-js/modules/es6.typed.float32-array.js":"Asas","core-js/modules/es6.typed.float64-array.js":"ZKGF","core-js/modules/es6.weak-map.js":"Y0Wb","core-js/modules/es6.weak-set.js":"oeIc","core-js/modules/web.timers.js":"pUQh","core-js/modules/web.immediate.js":"uORE","core-js/modules/web.dom.iterable.js":"kCWy","regenerator-runtime/runtime.js":"VuXv","./mapbox":"g63L","./login":"mnjM","./updateSettings":"FxPS","./stripe":"Uj2q","./waitlist":"YOMe","./alerts":"odIX"}]},{},["Focm"], null)
 //# sourceMappingURL=/bundle.js.map
\ No newline at end of file
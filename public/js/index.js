@@ -1,31 +1,85 @@
 /* eslint-disable */
 import '@babel/polyfill';
 import { displayMap } from './mapbox';
-import { login, logout } from './login';
-import { updateSettings } from './updateSettings';
+import {
+  login,
+  loginTwoFactor,
+  sendMagicLink,
+  loginMagicLink,
+  loginOidc,
+  logout,
+} from './login';
+import { updateSettings, resendEmailVerification } from './updateSettings';
 import { bookTour } from './stripe';
+import { joinWaitlist } from './waitlist';
 import { showAlert } from './alerts';
 
 // DOM ELEMENTS
 const mapBox = document.getElementById('map');
 const loginForm = document.querySelector('.form--login');
+const twoFactorForm = document.querySelector('.form--2fa');
+const loginContainer = document.querySelector('.login-form');
+const requestMagicLink = document.getElementById('magic-link');
 const logoutButton = document.querySelector('.nav__el--logout');
 const updateForm = document.querySelector('.form-user-data');
 const userPasswordForm = document.querySelector('.form-user-password');
+const resendVerificationLink = document.getElementById('resend-verification');
 const bookBtn = document.getElementById('book-tour');
+const startDateSelect = document.getElementById('start-date');
 // DELEGATION
 if (mapBox) {
   const locations = JSON.parse(mapBox.dataset.locations);
   displayMap(locations);
 }
 
+// Second login step: ask for the two-factor code
+const showTwoFactorForm = (twoFactorToken) => {
+  if (!twoFactorToken || !twoFactorForm) return;
+
+  twoFactorForm.dataset.token = twoFactorToken;
+  loginForm.hidden = true;
+  twoFactorForm.hidden = false;
+  document.getElementById('two-factor-code').focus();
+};
+
 if (loginForm) {
-  loginForm.addEventListener('submit', (e) => {
+  loginForm.addEventListener('submit', async (e) => {
     e.preventDefault();
 
     const email = document.getElementById('email').value;
     const password = document.getElementById('password').value;
-    login(email, password);
+    showTwoFactorForm(await login(email, password));
+  });
+}
+
+if (requestMagicLink) {
+  requestMagicLink.addEventListener('click', (e) => {
+    e.preventDefault();
+
+    const email = document.getElementById('email');
+    if (!email.reportValidity()) return;
+
+    sendMagicLink(email.value);
+  });
+}
+
+// Opened from an emailed login link
+if (loginContainer && loginContainer.dataset.magicLinkToken) {
+  loginMagicLink(loginContainer.dataset.magicLinkToken).then(showTwoFactorForm);
+}
+
+// Redirected back from the external login provider
+if (loginContainer && loginContainer.dataset.oidcCode) {
+  const { oidcCode, oidcState } = loginContainer.dataset;
+  loginOidc(oidcCode, oidcState).then(showTwoFactorForm);
+}
+
+if (twoFactorForm) {
+  twoFactorForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const code = document.getElementById('two-factor-code').value.trim();
+    loginTwoFactor(twoFactorForm.dataset.token, code);
   });
 }
 
@@ -50,6 +104,13 @@ if (updateForm) {
   });
 }
 
+if (resendVerificationLink) {
+  resendVerificationLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    resendEmailVerification();
+  });
+}
+
 if (userPasswordForm) {
   userPasswordForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -73,10 +134,38 @@ if (userPasswordForm) {
 }
 
 if (bookBtn) {
-  bookBtn.addEventListener('click', (e) => {
-    e.target.textContent = 'Processing...';
+  bookBtn.addEventListener('click', async (e) => {
     const { tourId } = e.target.dataset;
-    bookTour(tourId);
+    const selectedDate = startDateSelect.selectedOptions[0];
+    const startDate = selectedDate.value;
+
+    if (selectedDate.dataset.soldOut === 'true') {
+      e.target.textContent = 'Joining...';
+      await joinWaitlist(tourId, startDate);
+      e.target.textContent = 'Join the waitlist';
+      return;
+    }
+
+    e.target.textContent = 'Processing...';
+    const participants = document.getElementById('participants').value;
+    const coupon = document.getElementById('coupon').value.trim();
+    bookTour(tourId, startDate, participants, coupon);
+  });
+}
+
+if (startDateSelect) {
+  startDateSelect.addEventListener('change', (e) => {
+    const { seatsLeft, soldOut } = e.target.selectedOptions[0].dataset;
+    const participantsInput = document.getElementById('participants');
+
+    bookBtn.textContent =
+      soldOut === 'true' ? 'Join the waitlist' : 'Book tour now!';
+
+    if (soldOut === 'true') return;
+
+    participantsInput.max = seatsLeft;
+    if (participantsInput.value * 1 > seatsLeft * 1)
+      participantsInput.value = seatsLeft;
   });
 }
 
@@ -13,6 +13,96 @@ export const login = async (email, password) => {
       },
     });
 
+    // Password was correct, but the account also asks for a two-factor code
+    if (res.data.twoFactorRequired) return res.data.twoFactorToken;
+
+    if (res.data.status === 'success') {
+      showAlert('success', 'Logged in successfully!');
+      window.setTimeout(() => {
+        location.assign('/');
+      }, 1500);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const sendMagicLink = async (email) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/magic-link',
+      data: {
+        email,
+      },
+    });
+
+    if (res.data.status === 'success') {
+      showAlert('success', 'Login link sent! Please check your email.');
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const loginMagicLink = async (token) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: `/api/v1/users/magic-link/${token}`,
+    });
+
+    // The link replaces the password, the account may still ask for a two-factor code
+    if (res.data.twoFactorRequired) return res.data.twoFactorToken;
+
+    if (res.data.status === 'success') {
+      showAlert('success', 'Logged in successfully!');
+      window.setTimeout(() => {
+        location.assign('/');
+      }, 1500);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const loginOidc = async (code, state) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/oidc/callback',
+      data: {
+        code,
+        state,
+      },
+    });
+
+    if (res.data.twoFactorRequired) return res.data.twoFactorToken;
+
+    if (res.data.status === 'success') {
+      showAlert('success', 'Logged in successfully!');
+      window.setTimeout(() => {
+        location.assign('/');
+      }, 1500);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const loginTwoFactor = async (twoFactorToken, code) => {
+  try {
+    // Authenticator codes are 6 digits, anything else is taken as a recovery code
+    const data = /^\d{6}$/.test(code)
+      ? { twoFactorToken, code }
+      : { twoFactorToken, recoveryCode: code };
+
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/login/2fa',
+      data,
+    });
+
     if (res.data.status === 'success') {
       showAlert('success', 'Logged in successfully!');
       window.setTimeout(() => {
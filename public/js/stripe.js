@@ -6,16 +6,29 @@ const stripe = Stripe(
   'pk_test_51IYY6cEG71mD65KwMqGs7oEkQfPLEk1rnSfYuiw16qq0tgVYc49JAAneadbaItCySLUSdELOuO7pMARA9kQBXyDU00cVwntYce'
 );
 
-export const bookTour = async (tourId) => {
+export const bookTour = async (
+  tourId,
+  startDate,
+  participants = 1,
+  coupon = ''
+) => {
   try {
-    //1.  Get Session from Server
-    const result = await axios(`/api/v1/bookings/checkout-session/${tourId}`);
+    //1.  Get Session from Server for the chosen departure and participants
+    const result = await axios({
+      method: 'GET',
+      url: `/api/v1/bookings/checkout-session/${tourId}`,
+      params: {
+        startDate,
+        participants,
+        coupon: coupon || undefined,
+      },
+    });
 
     //2. Create checkout form + charge credit card
     await stripe.redirectToCheckout({
       sessionId: result.data.session.id,
     });
   } catch (err) {
-    showAlert('error', err);
+    showAlert('error', err.response ? err.response.data.message : err);
   }
 };
@@ -30,3 +30,18 @@ export const updateSettings = async (data, type) => {
     showAlert('error', err.response.data.message);
   }
 };
+
+export const resendEmailVerification = async () => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/verifyEmail',
+    });
+
+    if (res.data.status === 'success') {
+      showAlert('success', 'Verification link sent! Please check your email.');
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
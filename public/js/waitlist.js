@@ -0,0 +1,24 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+export const joinWaitlist = async (tourId, startDate) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: `/api/v1/tours/${tourId}/waitlist`,
+      data: {
+        startDate,
+      },
+    });
+
+    if (res.data.status === 'success') {
+      showAlert(
+        'success',
+        "You joined the waitlist! We'll email you as soon as a seat opens up."
+      );
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
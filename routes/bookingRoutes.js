@@ -1,8 +1,13 @@
 const express = require('express');
 
-const { protect, restrictTo } = require('../controllers/authController');
+const {
+  protect,
+  can,
+  requireVerifiedEmail,
+} = require('../controllers/authController');
 const {
   getCheckoutSession,
+  cancelBooking,
   getAllBookings,
   createBooking,
   getBooking,
@@ -14,11 +19,21 @@ const router = express.Router();
 
 router.use(protect);
 
-router.get('/checkout-session/:tourId', getCheckoutSession);
-
-router.use(restrictTo('admin', 'lead-guide'));
+router.get(
+  '/checkout-session/:tourId',
+  requireVerifiedEmail,
+  getCheckoutSession
+);
+router.patch('/:id/cancel', can('booking:refund'), cancelBooking);
 
-router.route('/').get(protect, getAllBookings).post(createBooking);
-router.route('/:id').get(getBooking).patch(updateBooking).delete(deleteBooking);
+router
+  .route('/')
+  .get(can('booking:read'), getAllBookings)
+  .post(can('booking:create'), createBooking);
+router
+  .route('/:id')
+  .get(can('booking:read'), getBooking)
+  .patch(can('booking:update'), updateBooking)
+  .delete(can('booking:delete'), deleteBooking);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+
+const { protect, can } = require('../controllers/authController');
+const {
+  getAllCoupons,
+  createCoupon,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require('../controllers/couponController');
+
+const router = express.Router();
+
+router.use(protect, can('coupon:manage'));
+
+router.route('/').get(getAllCoupons).post(createCoupon);
+router.route('/:id').get(getCoupon).patch(updateCoupon).delete(deleteCoupon);
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 
-const { protect, restrictTo } = require('../controllers/authController');
+const {
+  protect,
+  can,
+  requireVerifiedEmail,
+} = require('../controllers/authController');
 const {
   getAllReviews,
   createReview,
@@ -8,6 +12,9 @@ const {
   updateReview,
   setTourUserIds,
   getReview,
+  restrictReviewFields,
+  isReviewOwner,
+  checkVerifiedTraveler,
 } = require('../controllers/reviewController');
 
 const router = express.Router({ mergeParams: true });
@@ -17,12 +24,22 @@ router.use(protect);
 router
   .route('/')
   .get(getAllReviews)
-  .post(restrictTo('user'), setTourUserIds, createReview);
+  .post(
+    can('review:create'),
+    requireVerifiedEmail,
+    setTourUserIds,
+    checkVerifiedTraveler,
+    createReview
+  );
 
 router
   .route('/:id')
   .get(getReview)
-  .patch(restrictTo('user', 'admin'), updateReview)
-  .delete(restrictTo('user', 'admin'), deleteReview);
+  .patch(
+    can('review:update', isReviewOwner),
+    restrictReviewFields,
+    updateReview
+  )
+  .delete(can('review:delete', isReviewOwner), deleteReview);
 
 module.exports = router;
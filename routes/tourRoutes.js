@@ -1,5 +1,6 @@
 const express = require('express');
-const { protect, restrictTo } = require('../controllers/authController');
+const { protect, can } = require('../controllers/authController');
+const { cacheResponse } = require('../utils/cache');
 const {
   getAllTours,
   createTour,
@@ -11,24 +12,38 @@ const {
   getMonthlyPlan,
   getToursWithin,
   getDistances,
+  searchTours,
+  getTourFacets,
   uploadTourImages,
   resizeTourImages,
 } = require('../controllers/tourController');
 
 const reviewRouter = require('./reviewRoutes');
+const waitlistRouter = require('./waitlistRoutes');
 
 const router = express.Router();
 
+// Tour responses include ratings and reviews, so review writes invalidate them too
+// Full tours include the seats left on each departure, so clients must check with the server before reusing them
+const cacheTours = cacheResponse(['Tour', 'Review']);
+const cacheTourSummaries = cacheResponse(['Tour', 'Review'], { maxAge: 60 });
+
 router.use('/:tourId/reviews', reviewRouter);
+router.use('/:tourId/waitlist', waitlistRouter);
 
 //router.param('id', checkID);
-router.route('/top-5-cheap').get(aliasTopTours, getAllTours);
+router
+  .route('/top-5-cheap')
+  .get(cacheTourSummaries, aliasTopTours, getAllTours);
+
+router.route('/tour-stats').get(cacheTourSummaries, getTourStats);
 
-router.route('/tour-stats').get(getTourStats);
+router.route('/search').get(searchTours);
+router.route('/facets').get(getTourFacets);
 
 router
   .route('/monthly-plan/:year')
-  .get(protect, restrictTo('admin', 'lead-guide', 'guide'), getMonthlyPlan);
+  .get(protect, can('tour:plan'), getMonthlyPlan);
 
 router
   .route('/tours-whitin/:distance/center/:latlng/unit/:unit')
@@ -38,19 +53,19 @@ router.route('/distances/:latlng/unit/:unit').get(getDistances);
 
 router
   .route('/')
-  .get(getAllTours)
-  .post(protect, restrictTo('admin', 'lead-guide'), createTour);
+  .get(cacheTours, getAllTours)
+  .post(protect, can('tour:create'), createTour);
 
 router
   .route('/:id')
-  .get(getTour)
+  .get(cacheTours, getTour)
   .patch(
     protect,
-    restrictTo('admin', 'lead-guide'),
+    can('tour:update'),
     uploadTourImages,
     resizeTourImages,
     updateTour
   )
-  .delete(protect, restrictTo('admin', 'lead-guide'), deleteTour);
+  .delete(protect, can('tour:delete'), deleteTour);
 
 module.exports = router;
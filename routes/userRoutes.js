@@ -11,6 +11,7 @@ const {
   getMe,
   uploadUserPhoto,
   resizeUserPhoto,
+  unlockUser,
 } = require('../controllers/userController');
 const {
   signup,
@@ -19,29 +20,67 @@ const {
   forgotPassword,
   updatePassword,
   protect,
-  restrictTo,
+  protectTwoFactorSetup,
+  can,
   logout,
+  refresh,
+  getMySessions,
+  deleteMySession,
+  logoutEverywhere,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyEmail,
+  resendEmailVerification,
+  sendMagicLink,
+  loginMagicLink,
+  oidcLogin,
+  oidcCallback,
 } = require('../controllers/authController');
 
 const router = express.Router();
 
 router.post('/signup', signup);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/magic-link', sendMagicLink);
+router.post('/magic-link/:token', loginMagicLink);
+router.get('/oidc/login', oidcLogin);
+router.post('/oidc/callback', oidcCallback);
 router.post('/forgotPassword', forgotPassword);
 router.patch('/resetPassword/:token', resetPassword);
-router.get('/logout', logout);
+router.patch('/verifyEmail/:token', verifyEmail);
+router.post('/refresh', refresh);
+// API clients without cookies send their refresh token in the body
+router.route('/logout').get(logout).post(logout);
+
+// Two-factor setup must be reachable by users whose role requires it but haven't enabled it yet
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, enableTwoFactor);
 
 //Use protect middleware to protect routes before this line
 router.use(protect);
 
+router.delete('/2fa', disableTwoFactor);
+router.post('/verifyEmail', resendEmailVerification);
+
 router.patch('/updateMyPassword', protect, updatePassword);
 router.get('/me', getMe, getUser);
 router.patch('/updateMe', uploadUserPhoto, resizeUserPhoto, updateMe);
 router.delete('/deleteMe', deleteMe);
+router.route('/me/sessions').get(getMySessions).delete(logoutEverywhere);
+router.delete('/me/sessions/:id', deleteMySession);
 
-router.use(restrictTo('admin'));
-
-router.route('/').get(getAllUsers).post(createUser);
-router.route('/:id').get(getUser).patch(updateUser).delete(deleteUser);
+router
+  .route('/')
+  .get(can('user:read'), getAllUsers)
+  .post(can('user:create'), createUser);
+router
+  .route('/:id')
+  .get(can('user:read'), getUser)
+  .patch(can('user:update'), updateUser)
+  .delete(can('user:delete'), deleteUser);
+router.patch('/:id/unlock', can('user:unlock'), unlockUser);
 
 module.exports = router;
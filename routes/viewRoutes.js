@@ -3,23 +3,28 @@ const {
   getOverview,
   getTour,
   getLoginForm,
+  getMagicLinkLogin,
+  getOidcCallback,
   getAccount,
   updateUserData,
   getMyTours,
+  getWaitlistOffer,
+  getEmailVerification,
   alerts,
 } = require('../controllers/viewsController');
-const {
-  protect,
-  restrictTo,
-  isLoggedIn,
-} = require('../controllers/authController');
+const { protect, isLoggedIn } = require('../controllers/authController');
+const { cacheResponse } = require('../utils/cache');
 
 const router = express.Router();
 
 router.use(alerts);
-router.get('/', isLoggedIn, getOverview);
+router.get('/', isLoggedIn, cacheResponse(['Tour', 'Review']), getOverview);
 router.get('/tour/:slug', isLoggedIn, getTour);
+router.get('/waitlist/:token', getWaitlistOffer);
+router.get('/verify-email/:token', getEmailVerification);
 router.get('/login', isLoggedIn, getLoginForm);
+router.get('/login/oidc/callback', getOidcCallback);
+router.get('/login/:token', getMagicLinkLogin);
 router.get('/me', protect, getAccount);
 router.get('/my-tours', protect, getMyTours);
 router.post('/submit-user-data', protect, updateUserData);
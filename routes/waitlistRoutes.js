@@ -0,0 +1,21 @@
+const express = require('express');
+
+const { protect, can } = require('../controllers/authController');
+const {
+  getWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+} = require('../controllers/waitlistController');
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(can('waitlist:read'), getWaitlist)
+  .post(can('waitlist:join'), joinWaitlist);
+
+router.delete('/:id', leaveWaitlist);
+
+module.exports = router;
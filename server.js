@@ -8,6 +8,8 @@ process.on('uncaughtException', (err) => {
 
 dotenv.config({ path: './config.env' });
 const app = require('./app');
+const { scheduleDepartureReminders } = require('./utils/departureReminders');
+const { scheduleWaitlistOfferExpiry } = require('./utils/waitlistOffers');
 
 const DB = process.env.DATABASE.replace(
   '<PASSWORD>',
@@ -25,10 +27,18 @@ mongoose
 
 const port = process.env.PORT || 8000;
 
+// Base URL for links in emails that are not sent while handling a request
+process.env.APP_URL = process.env.APP_URL || `http://localhost:${port}`;
+
 const server = app.listen(port, () => {
   console.log(`App running on port ${port}...`);
 });
 
+const remindersJob = scheduleDepartureReminders(
+  `${process.env.APP_URL}/my-tours`
+);
+const waitlistJob = scheduleWaitlistOfferExpiry();
+
 process.on('unhandledRejection', (err) => {
   console.log(err.name, err.message);
   server.close(() => {
@@ -38,6 +48,8 @@ process.on('unhandledRejection', (err) => {
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM RECEIVED. Shutting down gracefully...');
+  clearInterval(remindersJob);
+  clearInterval(waitlistJob);
   server.close(() => {
     console.log('Process terminated!');
   });
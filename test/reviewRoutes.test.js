@@ -0,0 +1,188 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Review = require('../models/reviewModel');
+const Booking = require('../models/bookingModel');
+const reviewRouter = require('../routes/reviewRoutes');
+const globalErrorHandler = require('../controllers/errorController');
+
+process.env.NODE_ENV = 'production';
+process.env.JWT_SECRET = 'review-routes-test-secret';
+
+/**
+ * App with just the review routes, the models are mocked so no database is needed
+ */
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/v1/tours/:tourId/reviews', reviewRouter);
+app.use('/api/v1/reviews', reviewRouter);
+app.use(globalErrorHandler);
+
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+const author = new User({ name: 'Author', email: 'author@example.com' });
+const stranger = new User({ name: 'Stranger', email: 'stranger@example.com' });
+const admin = new User({
+  name: 'Admin',
+  email: 'admin@example.com',
+  role: 'admin',
+  twoFactorEnabled: true,
+});
+const users = [author, stranger, admin];
+
+const tourId = newId();
+const reviewId = newId();
+
+const authHeader = (user) => {
+  const token = jwt.sign(
+    { id: user._id, sid: newId(), ver: user.tokenVersion },
+    process.env.JWT_SECRET
+  );
+
+  return { Authorization: `Bearer ${token}` };
+};
+
+beforeEach(() => {
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) => ({
+    id,
+    isActive: () => true,
+    markSeen: async () => {},
+  }));
+  jest
+    .spyOn(User, 'findById')
+    .mockImplementation(async (id) =>
+      users.find((user) => user.id === id.toString())
+    );
+
+  // The review was written by `author`
+  jest
+    .spyOn(Review, 'exists')
+    .mockImplementation(
+      async ({ _id, user }) => _id === reviewId && user.toString() === author.id
+    );
+  jest
+    .spyOn(Review, 'findByIdAndUpdate')
+    .mockImplementation(async (id, body) => ({ _id: id, ...body }));
+  jest.spyOn(Review, 'findByIdAndDelete').mockResolvedValue({ _id: reviewId });
+  jest.spyOn(Review, 'create').mockImplementation(async (body) => body);
+  jest.spyOn(Booking, 'exists').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('review ownership', () => {
+  test('a user can update and delete their own review', async () => {
+    await request(app)
+      .patch(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(author))
+      .send({ review: 'Even better the second time' })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(author))
+      .expect(204);
+  });
+
+  test("a user can't update someone else's review", async () => {
+    await request(app)
+      .patch(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(stranger))
+      .send({ review: 'Terrible' })
+      .expect(403);
+
+    expect(Review.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test("a user can't delete someone else's review", async () => {
+    await request(app)
+      .delete(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(stranger))
+      .expect(403);
+
+    expect(Review.findByIdAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('an admin can update and delete any review', async () => {
+    await request(app)
+      .patch(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(admin))
+      .send({ review: 'Moderated' })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(admin))
+      .expect(204);
+  });
+});
+
+describe('review forging', () => {
+  test('a new review is written by the logged in user', async () => {
+    const res = await request(app)
+      .post(`/api/v1/tours/${tourId}/reviews`)
+      .set(authHeader(author))
+      .send({ review: 'Amazing', rating: 5 })
+      .expect(201);
+
+    expect(res.body.data.data).toMatchObject({
+      user: author.id,
+      tour: tourId,
+      verifiedTraveler: true,
+    });
+  });
+
+  test("a review can't be created as another user", async () => {
+    await request(app)
+      .post(`/api/v1/tours/${tourId}/reviews`)
+      .set(authHeader(stranger))
+      .send({ review: 'Amazing', rating: 5, user: author.id })
+      .expect(403);
+
+    expect(Review.create).not.toHaveBeenCalled();
+  });
+
+  test("a review can't be created for another tour than the route's", async () => {
+    await request(app)
+      .post(`/api/v1/tours/${tourId}/reviews`)
+      .set(authHeader(author))
+      .send({ review: 'Amazing', rating: 5, tour: newId() })
+      .expect(403);
+
+    expect(Review.create).not.toHaveBeenCalled();
+  });
+
+  test("a review can't be moved to another user or tour", async () => {
+    await request(app)
+      .patch(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(author))
+      .send({ user: stranger.id })
+      .expect(403);
+
+    await request(app)
+      .patch(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(author))
+      .send({ tour: newId() })
+      .expect(403);
+
+    expect(Review.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('not even an admin can move a review to another user or tour', async () => {
+    await request(app)
+      .patch(`/api/v1/reviews/${reviewId}`)
+      .set(authHeader(admin))
+      .send({ user: stranger.id, tour: newId() })
+      .expect(403);
+
+    expect(Review.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
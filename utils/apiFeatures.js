@@ -1,24 +1,192 @@
+const AppError = require('./appError');
+
+const DEFAULT_LIMIT = 100;
+
+// URL safe base64, which Buffer decodes just like regular base64
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify([value, id]))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+// Filter operators allowed for each schema type, array fields use the type of their elements
+const OPERATORS = {
+  Number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'],
+  Date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists'],
+  String: ['eq', 'ne', 'in', 'nin', 'exists', 'regex', 'prefix'],
+  ObjectID: ['eq', 'ne', 'in', 'nin', 'exists'],
+  Boolean: ['eq', 'ne', 'exists'],
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turns one `field[operator]=value` of the query string into a MongoDB condition
+ * @param {*} schemaType
+ * @param {String} field
+ * @param {String} operator
+ * @param {*} value - string, or array of strings for a repeated param
+ * @returns [mongoOperator, value cast to the field's type]
+ */
+const parseCondition = (schemaType, field, operator, value) => {
+  const caster = schemaType.caster || schemaType;
+  const allowed = OPERATORS[caster.instance] || ['exists'];
+
+  if (!allowed.includes(operator)) {
+    throw new AppError(
+      `Operator '${operator}' is not supported on field '${field}'. Use one of: ${allowed.join(
+        ', '
+      )}.`,
+      400
+    );
+  }
+
+  const values = [].concat(value);
+  if (values.some((el) => typeof el === 'object')) {
+    throw new AppError(`Invalid value for field '${field}'.`, 400);
+  }
+
+  const cast = (el) => {
+    try {
+      return caster.cast(el);
+    } catch (err) {
+      throw new AppError(`Invalid value for field '${field}': ${el}.`, 400);
+    }
+  };
+
+  switch (operator) {
+    case 'in':
+    case 'nin':
+      // Comma separated (?difficulty[in]=easy,medium) or repeated
+      return [
+        `$${operator}`,
+        values.flatMap((el) => el.split(',')).map((el) => cast(el)),
+      ];
+    case 'exists':
+      if (!['true', 'false'].includes(values[0])) {
+        throw new AppError(
+          `Operator 'exists' of field '${field}' must be true or false.`,
+          400
+        );
+      }
+      return ['$exists', values[0] === 'true'];
+    case 'prefix':
+      return ['$regex', new RegExp(`^${escapeRegex(values[0])}`, 'i')];
+    case 'regex':
+      if (values[0].length > 100) {
+        throw new AppError(`Regex of field '${field}' is too long.`, 400);
+      }
+      try {
+        return ['$regex', new RegExp(values[0], 'i')];
+      } catch (err) {
+        throw new AppError(`Invalid regex for field '${field}'.`, 400);
+      }
+    default:
+      return [`$${operator}`, cast(values[0])];
+  }
+};
+
+/**
+ * Returns the path of the array of subdocuments a field belongs to, e.g. 'startDates' for 'startDates.date'
+ * @param {*} schema
+ * @param {String} field
+ * @returns the array path, or undefined if the field isn't inside one
+ */
+const getDocumentArrayPath = (schema, field) =>
+  field
+    .split('.')
+    .slice(0, -1)
+    .map((part, i, parts) => parts.slice(0, i + 1).join('.'))
+    .find((path) => {
+      const schemaType = schema.path(path);
+      return schemaType && schemaType.$isMongooseDocumentArray;
+    });
+
 class APIFeatures {
   constructor(query, queryString) {
     this.query = query;
     this.queryString = queryString;
   }
 
+  /**
+   * Filters by the schema fields in the query string, e.g. ?difficulty[in]=easy,medium&price[lt]=1000
+   * A plain value (?difficulty=easy) is an equality, repeating it (?difficulty=easy&difficulty=medium) is an `in`
+   * Only the operators of the field's type in OPERATORS are allowed, and values are cast to that type
+   * Ranges on the fields of an array of subdocuments become an $elemMatch on the array
+   * @returns
+   */
   filter() {
     const queryObject = { ...this.queryString };
-    const excludeFields = ['page', 'sort', 'limit', 'fields'];
+    const excludeFields = ['page', 'sort', 'limit', 'fields', 'after'];
     excludeFields.forEach((el) => delete queryObject[el]);
 
-    let queryStr = JSON.stringify(queryObject);
-    queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, (match) => `$${match}`);
+    const { schema } = this.query.model;
+    const filter = {};
+
+    Object.keys(queryObject).forEach((field) => {
+      const schemaType = schema.path(field);
+
+      // Hidden fields (passwords, tokens...) can't be guessed through filters either
+      if (!schemaType || schemaType.options.select === false) {
+        throw new AppError(`Unknown filter field: ${field}`, 400);
+      }
+
+      let conditions = queryObject[field];
+      if (Array.isArray(conditions)) conditions = { in: conditions };
+      else if (typeof conditions !== 'object') conditions = { eq: conditions };
+
+      const condition = {};
+      Object.keys(conditions).forEach((operator) => {
+        const [mongoOperator, value] = parseCondition(
+          schemaType,
+          field,
+          operator,
+          conditions[operator]
+        );
+        condition[mongoOperator] = value;
+      });
+
+      // On an array of subdocuments, a range (?startDates.date[gte]=...&startDates.date[lt]=...)
+      // must match within a single element, not any element for each bound
+      const arrayPath = getDocumentArrayPath(schema, field);
+
+      if (arrayPath && Object.keys(condition).length > 1) {
+        filter[arrayPath] = filter[arrayPath] || { $elemMatch: {} };
+        filter[arrayPath].$elemMatch[
+          field.slice(arrayPath.length + 1)
+        ] = condition;
+      } else {
+        filter[field] = condition;
+      }
+    });
 
-    this.query = this.query.find(JSON.parse(queryStr));
+    this.query = this.query.find(filter);
 
     return this;
   }
 
   sort() {
-    if (this.queryString.sort) {
+    if (this.queryString.after !== undefined) {
+      // Cursor pagination needs a stable order: a single field, with _id to break ties
+      const [field = '_id', ...others] = `${this.queryString.sort || ''}`
+        .split(',')
+        .filter((el) => el);
+
+      if (others.length > 0) {
+        throw new AppError(
+          'Cursor pagination can only sort by one field.',
+          400
+        );
+      }
+
+      const direction = field.startsWith('-') ? -1 : 1;
+      this.cursorSort = { field: field.replace(/^-/, ''), direction };
+      this.query = this.query.sort({
+        [this.cursorSort.field]: direction,
+        _id: direction,
+      });
+    } else if (this.queryString.sort) {
       const sortBy = this.queryString.sort.split(',').join(' ');
       //sort('price ratingsAverage') - Sorts first by price, and if two has the same price it sorts by ratingsAverage
       this.query = this.query.sort(sortBy);
@@ -41,15 +209,103 @@ class APIFeatures {
     return this;
   }
 
+  /**
+   * Page mode (?page=2&limit=10) skips the previous pages
+   * Cursor mode (?after=<cursor>, empty for the first page) continues after the last document of the previous page,
+   * which stays fast and stable on large collections however deep it goes. Must be used after sort()
+   * @returns
+   */
   paginate() {
+    const limit = this.queryString.limit * 1 || DEFAULT_LIMIT;
+
+    if (this.cursorSort) {
+      if (this.queryString.after) this.query.and([this.getCursorFilter()]);
+
+      // One more document tells if there is a next page
+      this.query = this.query.limit(limit + 1);
+      this.pagination = { limit };
+
+      return this;
+    }
+
     const page = this.queryString.page * 1 || 1;
-    const limit = this.queryString.limit * 1 || 100;
     const skip = (page - 1) * limit;
 
     this.query = this.query.skip(skip).limit(limit);
+    this.pagination = { page, limit };
 
     return this;
   }
+
+  /**
+   * Decodes the `after` cursor into the filter of the documents following it
+   * @returns
+   */
+  getCursorFilter() {
+    const { field, direction } = this.cursorSort;
+    const { schema } = this.query.model;
+    const operator = direction === 1 ? '$gt' : '$lt';
+
+    let value;
+    let id;
+    try {
+      const [cursorValue, cursorId] = JSON.parse(
+        Buffer.from(this.queryString.after, 'base64').toString()
+      );
+      const schemaType = schema.path(field);
+      value = schemaType ? schemaType.cast(cursorValue) : cursorValue;
+      id = schema.path('_id').cast(cursorId);
+    } catch (err) {
+      throw new AppError('Invalid pagination cursor.', 400);
+    }
+
+    if (field === '_id') return { _id: { [operator]: id } };
+
+    return {
+      $or: [
+        { [field]: { [operator]: value } },
+        { [field]: value, _id: { [operator]: id } },
+      ],
+    };
+  }
+
+  /**
+   * Completes the pagination info once the query ran
+   * In page mode it counts the matching documents, cursor mode skips the count on purpose and only knows the next page
+   * @param {Array} documents - result of the query
+   * @returns the documents of the page and the pagination info
+   */
+  async getPagination(documents) {
+    const { limit } = this.pagination;
+
+    if (this.cursorSort) {
+      const pageDocuments = documents.slice(0, limit);
+      const last = pageDocuments[pageDocuments.length - 1];
+
+      return {
+        documents: pageDocuments,
+        pagination: {
+          limit,
+          next:
+            documents.length > limit
+              ? encodeCursor(last.get(this.cursorSort.field), last._id)
+              : undefined,
+        },
+      };
+    }
+
+    // The filter is read after the query ran, so it includes the conditions added by query middlewares
+    const total = await this.query.model.countDocuments(this.query.getFilter());
+
+    return {
+      documents,
+      pagination: {
+        ...this.pagination,
+        total,
+        pageCount: Math.ceil(total / limit),
+      },
+    };
+  }
 }
 
 module.exports = APIFeatures;
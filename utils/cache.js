@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+/**
+ * Default cache store, kept in the memory of this server instance
+ * Any object with the same async get(key) and set(key, value, ttlSeconds) methods can replace it through setStore,
+ * e.g. one backed by Redis so all the server instances share the cache
+ */
+class MemoryStore {
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expires && entry.expires < Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // The most recently used entries are kept last, so the first one is the one to evict
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expires: ttlSeconds ? Date.now() + ttlSeconds * 1000 : undefined,
+    });
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+exports.MemoryStore = MemoryStore;
+
+exports.setStore = (newStore) => {
+  store = newStore;
+};
+
+const newVersion = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Each tag (a model name) has a version, which is part of the key of every response depending on it
+ * A missing version (never set, or evicted) gets a new one, so old responses are never served again
+ * @param {String} tag
+ * @returns
+ */
+const getVersion = async (tag) => {
+  const version = await store.get(`version:${tag}`);
+  if (version) return version;
+
+  const created = newVersion();
+  await store.set(`version:${tag}`, created);
+
+  return created;
+};
+
+/**
+ * Invalidates every cached response depending on a tag, by giving the tag a new version
+ * @param {String} tag - model name, e.g. 'Tour'
+ */
+exports.invalidate = async (tag) => {
+  try {
+    await store.set(`version:${tag}`, newVersion());
+  } catch (err) {
+    console.log('Cache invalidation error:', err.message);
+  }
+};
+
+/**
+ * Route plus normalized query (params sorted), the versions of its tags and the logged in user if any
+ * @param {*} req
+ * @param {Array} tags
+ * @param {String} userId
+ * @returns
+ */
+const getKey = async (req, tags, userId) => {
+  const params = new URLSearchParams(req.originalUrl.split('?')[1]);
+  params.sort();
+
+  const versions = await Promise.all(tags.map(getVersion));
+
+  return `response:${versions.join(',')}:${userId || ''}:${req.baseUrl}${
+    req.path
+  }?${params}`;
+};
+
+/**
+ * Middleware caching successful GET responses (JSON or rendered pages) for CACHE_TTL_SECONDS (default 60)
+ * Sends an ETag, so clients asking with If-None-Match get a 304 when nothing changed
+ * Pages rendered for a logged in user are cached per user, so it must be used after protect or isLoggedIn
+ * @param {Array} tags - models the response depends on, writes to them invalidate it
+ * @param {Object} options - maxAge: seconds clients may reuse the response without asking again (default 0)
+ * @returns
+ */
+exports.cacheResponse = (tags, { maxAge = 0 } = {}) => async (
+  req,
+  res,
+  next
+) => {
+  if (req.method !== 'GET') return next();
+
+  const userId = res.locals.user && res.locals.user.id;
+  const cacheControl = userId
+    ? 'private, no-cache'
+    : `public, ${maxAge > 0 ? `max-age=${maxAge}` : 'no-cache'}`;
+
+  // The cache should never break a request, a failing store is treated as a miss
+  let key;
+  let cached;
+  try {
+    key = await getKey(req, tags, userId);
+    cached = await store.get(key);
+  } catch (err) {
+    return next();
+  }
+
+  // Express answers 304 itself when the ETag matches If-None-Match
+  if (cached) {
+    res.set({
+      'Cache-Control': cacheControl,
+      ETag: cached.etag,
+      'X-Cache': 'HIT',
+    });
+    if (cached.contentType) res.set('Content-Type', cached.contentType);
+
+    return res.status(cached.statusCode).send(cached.body);
+  }
+
+  // res.json and res.render both end up sending a string through res.send
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    if (typeof body !== 'string' || res.statusCode !== 200) return send(body);
+    res.send = send;
+
+    const etag = `W/"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    res.set({ 'Cache-Control': cacheControl, ETag: etag, 'X-Cache': 'MISS' });
+
+    store
+      .set(
+        key,
+        {
+          statusCode: res.statusCode,
+          contentType: res.get('Content-Type'),
+          body,
+          etag,
+        },
+        process.env.CACHE_TTL_SECONDS * 1 || 60
+      )
+      .catch((err) => console.log('Cache store error:', err.message));
+
+    return send(body);
+  };
+
+  next();
+};
@@ -0,0 +1,37 @@
+/**
+ * Cancellation policy used to calculate booking refunds
+ * Configured through config.env, falling back to the defaults below:
+ * - Full refund when cancelling at least CANCELLATION_FULL_REFUND_DAYS days before departure
+ * - CANCELLATION_PARTIAL_REFUND_PERCENT refund when cancelling at least CANCELLATION_PARTIAL_REFUND_DAYS days before departure
+ * - No refund after that
+ */
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const fromEnv = (name, defaultValue) =>
+  process.env[name] !== undefined ? process.env[name] * 1 : defaultValue;
+
+const getPolicy = () => ({
+  fullRefundDays: fromEnv('CANCELLATION_FULL_REFUND_DAYS', 30),
+  partialRefundDays: fromEnv('CANCELLATION_PARTIAL_REFUND_DAYS', 7),
+  partialRefundPercent: fromEnv('CANCELLATION_PARTIAL_REFUND_PERCENT', 50),
+});
+
+/**
+ * Returns the amount to refund when cancelling a booking today
+ * @param {Number} total - Amount paid for the booking
+ * @param {Date} startDate - Departure date of the booking
+ * @returns
+ */
+exports.calcRefund = (total, startDate) => {
+  const policy = getPolicy();
+  const daysBeforeDeparture = (new Date(startDate) - Date.now()) / DAY_IN_MS;
+
+  let percent = 0;
+  if (daysBeforeDeparture >= policy.fullRefundDays) {
+    percent = 100;
+  } else if (daysBeforeDeparture >= policy.partialRefundDays) {
+    percent = policy.partialRefundPercent;
+  }
+
+  return Math.round(total * percent) / 100;
+};
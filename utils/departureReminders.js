@@ -0,0 +1,73 @@
+const Booking = require('../models/bookingModel');
+const Tour = require('../models/tourModel');
+const Email = require('./email');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Emails a reminder to every paid booking departing within the next `daysBefore` days
+ * Each booking is claimed by setting reminderSentAt before emailing, so it's never reminded twice,
+ * even with several server instances running the job at the same time
+ * @param {Number} daysBefore
+ * @param {String} url - Link to the user's booked tours
+ * @returns number of reminders sent
+ */
+exports.sendDepartureReminders = async (daysBefore, url) => {
+  const now = Date.now();
+  const bookings = await Booking.find({
+    status: 'paid',
+    reminderSentAt: { $exists: false },
+    startDate: { $gt: now, $lte: now + daysBefore * DAY_IN_MS },
+  });
+
+  const sent = await Promise.all(
+    bookings.map(async (booking) => {
+      const claimed = await Booking.updateOne(
+        { _id: booking._id, reminderSentAt: { $exists: false } },
+        { reminderSentAt: Date.now() }
+      );
+
+      if (claimed.nModified === 0) return false;
+
+      const tour = await Tour.findById(booking.tour._id).select(
+        'name startLocation'
+      );
+
+      try {
+        await new Email(booking.user, url).sendDepartureReminder(booking, tour);
+      } catch (err) {
+        // Release the booking so the next run tries again
+        await Booking.updateOne(
+          { _id: booking._id },
+          { $unset: { reminderSentAt: 1 } }
+        );
+        throw err;
+      }
+
+      return true;
+    })
+  );
+
+  return sent.filter((el) => el).length;
+};
+
+/**
+ * Runs sendDepartureReminders in the background every REMINDER_INTERVAL_HOURS (default 1)
+ * for bookings departing within REMINDER_DAYS_BEFORE days (default 3)
+ * @param {String} url - Link to the user's booked tours
+ * @returns the interval, so it can be cleared on shutdown
+ */
+exports.scheduleDepartureReminders = (url) => {
+  const daysBefore = process.env.REMINDER_DAYS_BEFORE * 1 || 3;
+  const intervalHours = process.env.REMINDER_INTERVAL_HOURS * 1 || 1;
+
+  const run = () =>
+    exports
+      .sendDepartureReminders(daysBefore, url)
+      .then((sent) => {
+        if (sent > 0) console.log(`${sent} departure reminder(s) sent...`);
+      })
+      .catch((err) => console.log('Departure reminders error:', err.message));
+
+  return setInterval(run, intervalHours * 60 * 60 * 1000);
+};
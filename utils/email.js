@@ -33,12 +33,13 @@ module.exports = class Email {
   }
 
   // Send the actual email
-  async send(template, subject) {
+  async send(template, subject, data = {}) {
     // 1. Render HTML based on pug template
     const html = pug.renderFile(`${__dirname}/../views/email/${template}.pug`, {
       firstName: this.firstName,
       url: this.url,
       subject,
+      ...data,
     });
 
     // 2. Define the email options
@@ -64,4 +65,73 @@ module.exports = class Email {
       'Your password reset token (valid for only 10 minutes)'
     );
   }
+
+  async sendMagicLink() {
+    await this.send(
+      'magicLink',
+      'Your Natours login link (valid for only 15 minutes)'
+    );
+  }
+
+  async sendAccountLocked(lockUntil, ip) {
+    await this.send('accountLocked', 'Your Natours account was locked', {
+      lockUntil,
+      ip,
+    });
+  }
+
+  async sendEmailVerification() {
+    await this.send(
+      'emailVerification',
+      'Please verify your email address (valid for 24 hours)'
+    );
+  }
+
+  async sendBookingConfirmation(booking) {
+    await this.send(
+      'bookingConfirmation',
+      `Your booking for ${booking.tour.name} is confirmed!`,
+      { booking }
+    );
+  }
+
+  async sendBookingCancellation(booking) {
+    await this.send(
+      'bookingCancellation',
+      `Your booking for ${booking.tour.name} was cancelled`,
+      { booking }
+    );
+  }
+
+  async sendDepartureReminder(booking, tour) {
+    await this.send(
+      'departureReminder',
+      `Your ${tour.name} tour is coming up soon!`,
+      { booking, tour }
+    );
+  }
+
+  async sendWaitlistOffer(tour, startDate, offerExpires) {
+    await this.send('waitlistOffer', `A seat just opened up on ${tour.name}!`, {
+      tour,
+      startDate,
+      offerExpires,
+    });
+  }
+
+  async sendBookingRejected(tour, startDate, refundAmount, reason) {
+    await this.send(
+      'bookingRejected',
+      `Your booking for ${tour.name} could not be completed`,
+      { tour, startDate, refundAmount, reason }
+    );
+  }
+
+  async sendBookingRefund(booking) {
+    await this.send(
+      'bookingRefund',
+      `Your refund for ${booking.tour.name} is on its way`,
+      { booking }
+    );
+  }
 };
@@ -0,0 +1,57 @@
+/**
+ * Actions each role is allowed to perform, checked by the `can` middleware
+ * An action ending in `:own` only allows it on the user's own resources, e.g. `review:update:own`
+ */
+const leadGuide = [
+  'tour:create',
+  'tour:update',
+  'tour:delete',
+  'tour:plan',
+  'booking:read',
+  'booking:create',
+  'booking:update',
+  'booking:delete',
+  'waitlist:read',
+  'booking:refund:own',
+];
+
+const permissions = {
+  user: [
+    'review:create',
+    'review:update:own',
+    'review:delete:own',
+    'booking:refund:own',
+    'waitlist:join',
+  ],
+  guide: ['tour:plan:own', 'booking:refund:own'],
+  'lead-guide': leadGuide,
+  admin: [
+    ...leadGuide,
+    'review:update',
+    'review:delete',
+    'booking:refund',
+    'coupon:manage',
+    'user:read',
+    'user:create',
+    'user:update',
+    'user:delete',
+    'user:unlock',
+  ],
+};
+
+/**
+ * Returns how far a role is allowed to perform an action
+ * @param {String} role
+ * @param {String} action - e.g. 'tour:update'
+ * @returns 'all', 'own' if only allowed on the user's own resources, or false
+ */
+exports.getPermission = (role, action) => {
+  const actions = permissions[role] || [];
+
+  if (actions.includes(action)) return 'all';
+  if (actions.includes(`${action}:own`)) return 'own';
+
+  return false;
+};
+
+exports.permissions = permissions;
@@ -0,0 +1,57 @@
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a search query into the words to highlight
+ * MongoDB matches words by their stem ("hiking" finds "hiker"), so common endings are removed
+ * and any word starting with what is left gets highlighted
+ * @param {String} query
+ * @returns
+ */
+exports.getSearchTerms = (query) =>
+  `${query}`
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1)
+    .map((term) => {
+      const stem = term.replace(/(ing|ers|er|ed|es|s|ly)$/, '');
+      return stem.length >= 3 ? stem : term;
+    });
+
+/**
+ * Returns the part of a text around the first search term, with every term wrapped in <mark>
+ * The text is HTML escaped, so the snippet is safe to render as HTML
+ * @param {String} text
+ * @param {Array} terms - from getSearchTerms
+ * @param {Number} length - approximate length of the snippet
+ * @returns the snippet, or undefined if no term is in the text
+ */
+exports.createSnippet = (text, terms, length = 160) => {
+  if (!text || terms.length === 0) return;
+
+  const regex = new RegExp(
+    `(?<![\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`,
+    'giu'
+  );
+  const match = regex.exec(text);
+  if (!match) return;
+
+  // Start a bit before the match, on a word boundary
+  let start = Math.max(match.index - Math.floor(length / 3), 0);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  const end = Math.min(start + length, text.length);
+
+  const snippet = escapeHtml(text.slice(start, end)).replace(
+    regex,
+    (word) => `<mark>${word}</mark>`
+  );
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
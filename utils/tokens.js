@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+/**
+ * Hashes a token sent to a user, only the hash is stored so the database alone can't be used to log in
+ * @param {String} token
+ * @returns
+ */
+exports.hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates a random token for the links emailed to users (password reset, login, offers...)
+ * @returns the unencrypted token, the one sent to the user, and its hash, the one stored
+ */
+exports.createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  return { token, hashedToken: exports.hashToken(token) };
+};
@@ -0,0 +1,19 @@
+const Waitlist = require('../models/waitlistModel');
+
+/**
+ * Runs Waitlist.notifyExpired in the background every WAITLIST_CHECK_INTERVAL_MINUTES (default 15),
+ * so the seats of offers that expired without a booking go to the next users in line
+ * @returns the interval, so it can be cleared on shutdown
+ */
+exports.scheduleWaitlistOfferExpiry = () => {
+  const intervalMinutes = process.env.WAITLIST_CHECK_INTERVAL_MINUTES * 1 || 15;
+
+  const run = () =>
+    Waitlist.notifyExpired()
+      .then((expired) => {
+        if (expired > 0) console.log(`${expired} waitlist offer(s) expired...`);
+      })
+      .catch((err) => console.log('Waitlist offers error:', err.message));
+
+  return setInterval(run, intervalMinutes * 60 * 1000);
+};